@@ -0,0 +1,44 @@
+// ==================== APP.JS ====================
+// createApp(pool) builds the Express app without listening, so tests can run it against a throwaway database.
+const express = require('express');
+const cors = require('cors');
+const { loadConfig } = require('./config');
+const { createGeocoder } = require('./lib/geocoder');
+const { createMailer } = require('./lib/mailer');
+const { createSessions } = require('./lib/sessions');
+const { createAuthMiddleware } = require('./middleware/auth');
+const { requestId, notFound, errorHandler } = require('./middleware/errors');
+
+// options.config defaults to loadConfig(); options.mailer and options.geocoder replace the configured ones;
+// options.setupToken enables POST /api/setup until the first admin is created.
+const createApp = (pool, options = {}) => {
+  const config = options.config || loadConfig();
+  const app = express();
+  if (config.trustProxy) app.set('trust proxy', config.trustProxy);
+  app.use(requestId);
+  app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After'] }));
+  app.use(express.json());
+
+  const ctx = {
+    pool,
+    config,
+    mailer: options.mailer || createMailer(config.mail),
+    geocoder: options.geocoder || createGeocoder(config.geocoder),
+    auth: createAuthMiddleware(pool, config.jwtSecret),
+    sessions: createSessions(pool, config.jwtSecret),
+    setup: { token: options.setupToken || null }
+  };
+
+  app.use('/api/setup', require('./routes/setup')(ctx));
+  app.use('/api/auth', require('./routes/auth')(ctx));
+  app.use('/api/admin', require('./routes/admin')(ctx));
+  app.use('/api/stores', require('./routes/stores')(ctx));
+  app.use('/api/ratings', require('./routes/ratings')(ctx));
+  app.use('/api/owner', require('./routes/owner')(ctx));
+  app.use('/api', notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
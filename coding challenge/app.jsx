@@ -1,38 +1,154 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
-import { Star, LogOut, Users, Store, BarChart3, Search, ArrowUpDown, Eye, Plus, Lock, Menu, X } from 'lucide-react';
+import React, { useState, useEffect, useRef, createContext, useContext } from 'react';
+import { Star, LogOut, Users, Store, BarChart3, Search, ArrowUpDown, Eye, Plus, Lock, Menu, X, Pencil, Trash2, ChevronLeft, ChevronRight, MessageSquare, History, TrendingUp, Download, Upload, Mail, Tag, MapPin } from 'lucide-react';
+import { rules, schemas, validate, hasErrors } from './shared/validation';
 
 // Auth Context
 const AuthContext = createContext(null);
 const useAuth = () => useContext(AuthContext);
 
+// Notice Context: notify(err) shows a dismissible error banner above the dashboard, notify(null) clears it
+const NoticeContext = createContext({ notice: null, notify: () => {} });
+const useNotify = () => useContext(NoticeContext).notify;
+
 // API Base URL
 const API = 'http://localhost:5000/api';
 
+// Rows per page for paginated lists
+const PAGE_SIZE = 10;
+
+// Pause after the last keystroke before the store search box queries the server
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Radius choices (km) for the "near me" store search; '' searches every store with a location
+const NEAR_ME_RADII = ['', 1, 5, 10, 25, 50];
+
+// Called when the session cannot be refreshed any more; App points it at its local logout
+let onSessionExpired = () => {};
+
+// Called when the server says the account must change its password before doing anything else
+let onPasswordChangeRequired = () => {};
+
+// Exchanges the refresh token for a new token pair; concurrent callers share one request
+let refreshing = null;
+const refreshSession = () => {
+  refreshing = refreshing || (async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+    const res = await fetch(`${API}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+    if (!res.ok) return false;
+    const data = await res.json();
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(data.user));
+    return true;
+  })().catch(() => false).finally(() => { refreshing = null; });
+  return refreshing;
+};
+
+// Wording for error codes whose server message is not meant for end users; other codes show the server's message.
+// The full list of codes is in projectstructure.md.
+const ERROR_MESSAGES = {
+  NETWORK_ERROR: 'Cannot reach the server. Check your connection and try again.',
+  INTERNAL_ERROR: 'Something went wrong on our side. Please try again in a moment.',
+  SESSION_EXPIRED: 'Your session has expired. Please log in again.',
+  FORBIDDEN: 'You do not have permission to do that.',
+  INVALID_INPUT: 'Some of the data sent was not in the expected format.',
+};
+
+// Codes that mean "wait and try again" rather than "something is wrong"
+const LOCKOUT_CODES = ['ACCOUNT_LOCKED', 'IP_LOCKED', 'LOGIN_THROTTLED'];
+
+// Error for a failed response ({ error, code, requestId, fields? }). Server errors carry the request id
+// so a user can quote it when reporting the problem.
+const apiError = (res, data) => {
+  const message = ERROR_MESSAGES[data.code] || data.error || `Request failed (${res.status})`;
+  return Object.assign(new Error(res.status >= 500 && data.requestId ? `${message} (Reference: ${data.requestId})` : message), {
+    status: res.status, code: data.code, fields: data.fields, requestId: data.requestId,
+  });
+};
+
+// Sends a request with the access token; on 401 refreshes the session once and retries
+const authFetch = async (endpoint, options = {}) => {
+  const send = () => {
+    const token = localStorage.getItem('token');
+    return fetch(`${API}${endpoint}`, {
+      ...options,
+      headers: { ...(token && { Authorization: `Bearer ${token}` }), ...options.headers },
+    }).catch(() => {
+      throw Object.assign(new Error(ERROR_MESSAGES.NETWORK_ERROR), { code: 'NETWORK_ERROR' });
+    });
+  };
+  let res = await send();
+  if (res.status === 401 && !['/auth/login', '/auth/register', '/auth/refresh'].includes(endpoint) && localStorage.getItem('refreshToken')) {
+    if (await refreshSession()) res = await send();
+    else onSessionExpired();
+  }
+  return res;
+};
+
 // API Helper
 const api = async (endpoint, options = {}) => {
-  const token = localStorage.getItem('token');
-  const res = await fetch(`${API}${endpoint}`, {
+  const res = await authFetch(endpoint, {
     ...options,
     headers: {
       'Content-Type': 'application/json',
-      ...(token && { Authorization: `Bearer ${token}` }),
       ...options.headers,
     },
   });
-  const data = await res.json();
-  if (!res.ok) throw new Error(data.error || data.errors?.join(', ') || 'Error');
+  // A proxy in front of the API may answer with HTML; treat that like an error without details
+  const data = await res.json().catch(() => ({}));
+  if (data.code === 'PASSWORD_CHANGE_REQUIRED') onPasswordChangeRequired();
+  if (!res.ok) throw apiError(res, data);
   return data;
 };
 
-// Validation
-const validate = {
-  name: (v) => v?.length >= 20 && v?.length <= 60 ? '' : 'Name: 20-60 characters',
-  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) ? '' : 'Invalid email',
-  password: (v) => /^(?=.*[A-Z])(?=.*[!@#$%^&*])[A-Za-z\d!@#$%^&*]{8,16}$/.test(v) ? '' : 'Password: 8-16 chars, 1 uppercase, 1 special',
-  address: (v) => !v || v.length <= 400 ? '' : 'Address: max 400 chars',
+// Fetches an export endpoint with the auth header and saves the response as a file
+const downloadFile = async (endpoint, filename) => {
+  const res = await authFetch(endpoint);
+  if (!res.ok) throw apiError(res, await res.json().catch(() => ({})));
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking straight after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 };
 
+// Shows the fields the server rejected next to their inputs, or the error message when no field was named
+const showServerErrors = (err, setErrors, setServerError) => {
+  setErrors(err.fields || {});
+  setServerError(err.fields ? '' : err.message);
+};
+
+// Store form state keeps the category as the select's string, tags as comma-separated text and the coordinates
+// as input text; the API wants a numeric categoryId (or null), an array of tags and numeric coordinates (or null)
+const storeBody = ({ categoryId, tags, latitude, longitude, ...fields }) => ({
+  ...fields,
+  categoryId: categoryId ? Number(categoryId) : null,
+  tags: tags.split(',').map((t) => t.trim()).filter(Boolean),
+  latitude: latitude === '' ? null : Number(latitude),
+  longitude: longitude === '' ? null : Number(longitude),
+});
+
 // Components
+// Error banner; lockouts are shown as a warning since waiting is all the user can do
+const ErrorNotice = ({ error, onDismiss }) => {
+  if (!error) return null;
+  const lockout = LOCKOUT_CODES.includes(error.code);
+  return (
+    <div className={`border rounded p-2 text-sm mb-3 flex gap-2 items-start ${lockout ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-red-50 border-red-200 text-red-700'}`}>
+      {lockout && <Lock size={16} className="shrink-0 mt-0.5" />}
+      <span className="flex-1">{error.message}</span>
+      {onDismiss && <button onClick={onDismiss} aria-label="Dismiss"><X size={16} /></button>}
+    </div>
+  );
+};
+
 const Input = ({ label, error, ...props }) => (
   <div className="mb-3">
     <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
@@ -50,6 +166,10 @@ const Button = ({ children, variant = 'primary', ...props }) => {
   return <button {...props} className={`px-4 py-2 rounded-lg font-medium transition ${styles[variant]} ${props.className || ''}`}>{children}</button>;
 };
 
+const TagChip = ({ children, active = false, ...props }) => (
+  <span {...props} className={`inline-block px-2 py-0.5 rounded-full text-xs ${active ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'} ${props.onClick ? 'cursor-pointer' : ''}`}>{children}</span>
+);
+
 const Card = ({ children, className = '' }) => (
   <div className={`bg-white rounded-xl shadow-md p-6 ${className}`}>{children}</div>
 );
@@ -82,7 +202,21 @@ const Modal = ({ isOpen, onClose, title, children }) => {
   );
 };
 
-const SortableTable = ({ columns, data, onSort, sortConfig }) => (
+const Pagination = ({ page, limit, total, onPageChange }) => {
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  return (
+    <div className="flex justify-between items-center mt-4 text-sm text-gray-600 flex-wrap gap-2">
+      <span>{total ? `Showing ${(page - 1) * limit + 1}-${Math.min(page * limit, total)} of ${total}` : 'No results'}</span>
+      <div className="flex items-center gap-2">
+        <Button variant="secondary" className="disabled:opacity-50" onClick={() => onPageChange(page - 1)} disabled={page <= 1}><ChevronLeft size={16} /></Button>
+        <span>Page {page} of {pages}</span>
+        <Button variant="secondary" className="disabled:opacity-50" onClick={() => onPageChange(page + 1)} disabled={page >= pages}><ChevronRight size={16} /></Button>
+      </div>
+    </div>
+  );
+};
+
+const SortableTable = ({ columns, data, onSort, sortConfig, pagination }) => (
   <div className="overflow-x-auto">
     <table className="w-full">
       <thead className="bg-gray-50">
@@ -107,25 +241,52 @@ const SortableTable = ({ columns, data, onSort, sortConfig }) => (
         ))}
       </tbody>
     </table>
+    {pagination && <Pagination {...pagination} />}
   </div>
 );
 
+// CSV/JSON download buttons for an export endpoint; params carry the current filters and sort
+const ExportButtons = ({ endpoint, params = {}, filename }) => {
+  const notify = useNotify();
+  const [loading, setLoading] = useState(false);
+
+  const handleExport = async (format) => {
+    setLoading(true);
+    try {
+      await downloadFile(`${endpoint}?${new URLSearchParams({ ...params, format })}`, `${filename}.${format}`);
+    } catch (err) {
+      notify(err);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="flex gap-2">
+      {['csv', 'json'].map((format) => (
+        <Button key={format} variant="secondary" onClick={() => handleExport(format)} disabled={loading}>
+          <Download size={16} className="inline mr-1" />{format.toUpperCase()}
+        </Button>
+      ))}
+    </div>
+  );
+};
+
 // Auth Pages
-const LoginPage = ({ onSwitch }) => {
+const LoginPage = ({ onSwitch, onForgot }) => {
   const { login } = useAuth();
   const [form, setForm] = useState({ email: '', password: '' });
-  const [error, setError] = useState('');
+  const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
-    setError('');
+    setError(null);
     try {
       const data = await api('/auth/login', { method: 'POST', body: JSON.stringify(form) });
-      login(data.user, data.token);
+      login(data.user, data.token, data.refreshToken);
     } catch (err) {
-      setError(err.message);
+      setError(err);
     }
     setLoading(false);
   };
@@ -137,7 +298,10 @@ const LoginPage = ({ onSwitch }) => {
         <form onSubmit={handleSubmit}>
           <Input label="Email" type="email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} required />
           <Input label="Password" type="password" value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} required />
-          {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+          <div className="text-right -mt-2 mb-3">
+            <button type="button" onClick={onForgot} className="text-sm text-blue-600">Forgot password?</button>
+          </div>
+          <ErrorNotice error={error} />
           <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Logging in...' : 'Login'}</Button>
         </form>
         <p className="text-center mt-4 text-sm text-gray-600">
@@ -153,30 +317,47 @@ const RegisterPage = ({ onSwitch }) => {
   const [form, setForm] = useState({ name: '', email: '', password: '', address: '' });
   const [errors, setErrors] = useState({});
   const [serverError, setServerError] = useState('');
+  const [registered, setRegistered] = useState(null);
   const [loading, setLoading] = useState(false);
 
   const handleChange = (field, value) => {
     setForm({ ...form, [field]: value });
-    setErrors({ ...errors, [field]: validate[field]?.(value) || '' });
+    const rule = schemas.register[field];
+    setErrors({ ...errors, [field]: rule ? rules[rule](value) : '' });
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    const newErrors = { name: validate.name(form.name), email: validate.email(form.email), password: validate.password(form.password), address: validate.address(form.address) };
+    const newErrors = validate(schemas.register, form);
     setErrors(newErrors);
-    if (Object.values(newErrors).some((e) => e)) return;
+    if (hasErrors(newErrors)) return;
 
     setLoading(true);
     setServerError('');
     try {
-      const data = await api('/auth/register', { method: 'POST', body: JSON.stringify(form) });
-      login(data.user, data.token);
+      setRegistered(await api('/auth/register', { method: 'POST', body: JSON.stringify(form) }));
     } catch (err) {
-      setServerError(err.message);
+      showServerErrors(err, setErrors, setServerError);
     }
     setLoading(false);
   };
 
+  if (registered) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+        <Card className="w-full max-w-md text-center">
+          <Mail size={40} className="mx-auto text-blue-600 mb-3" />
+          <h1 className="text-2xl font-bold mb-4">Verify Your Email</h1>
+          <p className="text-sm text-gray-600 mb-4">
+            We sent a verification link to <strong>{registered.user.email}</strong>. Open it to start rating stores.
+          </p>
+          <ResendVerification email={registered.user.email} />
+          <Button className="w-full mt-4" onClick={() => login(registered.user, registered.token, registered.refreshToken)}>Continue to Stores</Button>
+        </Card>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
       <Card className="w-full max-w-md">
@@ -197,9 +378,146 @@ const RegisterPage = ({ onSwitch }) => {
   );
 };
 
+// Asks the server for a fresh verification link; the reply is the same whether or not one was sent
+const ResendVerification = ({ email }) => {
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleResend = async () => {
+    setLoading(true);
+    try {
+      const data = await api('/auth/resend-verification', { method: 'POST', body: JSON.stringify({ email }) });
+      setMessage(data.message);
+    } catch (err) {
+      setMessage(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="text-sm text-gray-600">
+      Didn't get the email? <button onClick={handleResend} disabled={loading} className="text-blue-600 font-medium">{loading ? 'Sending...' : 'Resend link'}</button>
+      {message && <p className="text-green-600 mt-2">{message}</p>}
+    </div>
+  );
+};
+
+const VerifyEmailPage = ({ token, onDone }) => {
+  const [status, setStatus] = useState({ state: 'verifying', message: '' });
+
+  useEffect(() => {
+    api('/auth/verify-email', { method: 'POST', body: JSON.stringify({ token }) })
+      .then((data) => setStatus({ state: 'verified', message: data.message }))
+      .catch((err) => setStatus({ state: 'failed', message: err.message }));
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md text-center">
+        <h1 className="text-2xl font-bold mb-4">Email Verification</h1>
+        {status.state === 'verifying' && <p className="text-gray-600">Verifying...</p>}
+        {status.state === 'verified' && <p className="text-green-600 mb-3">Your email has been verified. You can now rate stores.</p>}
+        {status.state === 'failed' && <p className="text-red-500 text-sm mb-3">{status.message}. You can request a new link after logging in.</p>}
+        {status.state !== 'verifying' && <Button className="w-full" onClick={() => onDone(status.state === 'verified')}>Continue</Button>}
+      </Card>
+    </div>
+  );
+};
+
+const ForgotPasswordPage = ({ onBack }) => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api('/auth/forgot-password', { method: 'POST', body: JSON.stringify({ email }) });
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <h1 className="text-2xl font-bold text-center mb-6">Forgot Password</h1>
+        {message ? (
+          <p className="text-green-600 text-sm mb-3">{message}</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="text-sm text-gray-600 mb-4">Enter your account email and we'll send you a link to reset your password.</p>
+            <Input label="Email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+            {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+            <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Sending...' : 'Send Reset Link'}</Button>
+          </form>
+        )}
+        <p className="text-center mt-4 text-sm text-gray-600">
+          <button onClick={onBack} className="text-blue-600 font-medium">Back to Login</button>
+        </p>
+      </Card>
+    </div>
+  );
+};
+
+const ResetPasswordPage = ({ token, onDone }) => {
+  const [form, setForm] = useState({ newPassword: '', confirm: '' });
+  const [errors, setErrors] = useState({});
+  const [serverError, setServerError] = useState('');
+  const [success, setSuccess] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const newErrors = {
+      ...validate(schemas.newPassword, form),
+      ...(form.confirm !== form.newPassword && { confirm: 'Passwords do not match' })
+    };
+    setErrors(newErrors);
+    if (hasErrors(newErrors)) return;
+
+    setLoading(true);
+    setServerError('');
+    try {
+      await api('/auth/reset-password', { method: 'POST', body: JSON.stringify({ token, newPassword: form.newPassword }) });
+      setSuccess(true);
+    } catch (err) {
+      showServerErrors(err, setErrors, setServerError);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <h1 className="text-2xl font-bold text-center mb-6">Reset Password</h1>
+        {success ? (
+          <p className="text-green-600 text-sm mb-3">Your password has been reset. You can now log in with your new password.</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <Input label="New Password" type="password" value={form.newPassword} onChange={(e) => setForm({ ...form, newPassword: e.target.value })} error={errors.newPassword} placeholder="8-16 chars, 1 uppercase, 1 special" />
+            <Input label="Confirm Password" type="password" value={form.confirm} onChange={(e) => setForm({ ...form, confirm: e.target.value })} error={errors.confirm} />
+            {serverError && <p className="text-red-500 text-sm mb-3">{serverError}</p>}
+            <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Resetting...' : 'Reset Password'}</Button>
+          </form>
+        )}
+        <p className="text-center mt-4 text-sm text-gray-600">
+          <button onClick={onDone} className="text-blue-600 font-medium">Back to Login</button>
+        </p>
+      </Card>
+    </div>
+  );
+};
+
 // Dashboard Layout
 const DashboardLayout = ({ children, title }) => {
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAll } = useAuth();
+  const { notice, notify } = useContext(NoticeContext);
   const [menuOpen, setMenuOpen] = useState(false);
 
   return (
@@ -209,25 +527,57 @@ const DashboardLayout = ({ children, title }) => {
           <h1 className="text-xl font-bold text-gray-800">{title}</h1>
           <div className="flex items-center gap-4">
             <span className="text-sm text-gray-600 hidden sm:block">{user?.name} ({user?.role})</span>
+            <Button variant="secondary" onClick={() => window.confirm('Log out on every device, including this one?') && logoutAll()} className="hidden sm:block">
+              Log out all devices
+            </Button>
             <Button variant="secondary" onClick={logout} className="flex items-center gap-2">
               <LogOut size={16} /> Logout
             </Button>
           </div>
         </div>
       </header>
-      <main className="max-w-7xl mx-auto px-4 py-6">{children}</main>
+      <main className="max-w-7xl mx-auto px-4 py-6">
+        <ErrorNotice error={notice} onDismiss={() => notify(null)} />
+        {children}
+      </main>
     </div>
   );
 };
 
+// Ranked list card for the admin statistics
+const Leaderboard = ({ title, rows, render, empty = 'No data yet' }) => (
+  <Card>
+    <h3 className="text-lg font-semibold mb-4">{title}</h3>
+    {rows.length === 0 ? (
+      <p className="text-center text-gray-500 py-4">{empty}</p>
+    ) : (
+      <ol className="space-y-2">
+        {rows.map((row, i) => (
+          <li key={row.id} className="flex items-center gap-3">
+            <span className="w-6 h-6 flex items-center justify-center rounded-full bg-gray-100 text-xs font-medium">{i + 1}</span>
+            <div className="flex-1 flex justify-between items-center gap-2">{render(row)}</div>
+          </li>
+        ))}
+      </ol>
+    )}
+  </Card>
+);
+
 // Admin Dashboard
 const AdminDashboard = () => {
-  const [stats, setStats] = useState({ totalUsers: 0, totalStores: 0, totalRatings: 0 });
+  const notify = useNotify();
+  const [stats, setStats] = useState({
+    totalUsers: 0, totalStores: 0, totalRatings: 0, usersByRole: {}, newUsersPerDay: [], newRatingsPerDay: [],
+    topRatedStores: [], lowestRatedStores: [], unratedStores: { total: 0, stores: [] }, mostActiveRaters: []
+  });
   const [view, setView] = useState('dashboard');
   const [users, setUsers] = useState([]);
   const [stores, setStores] = useState([]);
+  const [lockedUsers, setLockedUsers] = useState([]);
   const [filters, setFilters] = useState({ name: '', email: '', address: '', role: '' });
   const [sortConfig, setSortConfig] = useState({ key: 'name', order: 'asc' });
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
   const [modal, setModal] = useState({ type: null, data: null });
   const [loading, setLoading] = useState(false);
 
@@ -238,25 +588,27 @@ const AdminDashboard = () => {
   useEffect(() => {
     if (view === 'users') loadUsers();
     if (view === 'stores') loadStores();
-  }, [view, filters, sortConfig]);
+    if (view === 'locked') loadLockedUsers();
+  }, [view, filters, sortConfig, page]);
 
   const loadStats = async () => {
     try {
       const data = await api('/admin/dashboard');
       setStats(data);
     } catch (err) {
-      console.error(err);
+      notify(err);
     }
   };
 
   const loadUsers = async () => {
     setLoading(true);
     try {
-      const params = new URLSearchParams({ ...filters, sortBy: sortConfig.key, order: sortConfig.order });
+      const params = new URLSearchParams({ ...filters, sortBy: sortConfig.key, order: sortConfig.order, page, limit: PAGE_SIZE });
       const data = await api(`/admin/users?${params}`);
-      setUsers(data);
+      setUsers(data.items);
+      setTotal(data.total);
     } catch (err) {
-      console.error(err);
+      notify(err);
     }
     setLoading(false);
   };
@@ -264,17 +616,71 @@ const AdminDashboard = () => {
   const loadStores = async () => {
     setLoading(true);
     try {
-      const params = new URLSearchParams({ ...filters, sortBy: sortConfig.key, order: sortConfig.order });
+      const params = new URLSearchParams({ ...filters, sortBy: sortConfig.key, order: sortConfig.order, page, limit: PAGE_SIZE });
       const data = await api(`/admin/stores?${params}`);
-      setStores(data);
+      setStores(data.items);
+      setTotal(data.total);
     } catch (err) {
-      console.error(err);
+      notify(err);
+    }
+    setLoading(false);
+  };
+
+  const loadLockedUsers = async () => {
+    setLoading(true);
+    try {
+      setLockedUsers(await api('/admin/locked-users'));
+    } catch (err) {
+      notify(err);
     }
     setLoading(false);
   };
 
+  const handleUnlock = async (user) => {
+    try {
+      await api(`/admin/users/${user.id}/unlock`, { method: 'POST' });
+      loadLockedUsers();
+    } catch (err) {
+      notify(err);
+    }
+  };
+
   const handleSort = (key) => {
     setSortConfig({ key, order: sortConfig.key === key && sortConfig.order === 'asc' ? 'desc' : 'asc' });
+    setPage(1);
+  };
+
+  const handleFilter = (field, value) => {
+    setFilters({ ...filters, [field]: value });
+    setPage(1);
+  };
+
+  const handleView = (v) => {
+    setView(v);
+    setPage(1);
+  };
+
+  const handleDeleteUser = async (user) => {
+    if (!window.confirm(`Delete ${user.name}? Their ratings will be removed as well.`)) return;
+    try {
+      await api(`/admin/users/${user.id}`, { method: 'DELETE' });
+      setModal({ type: null });
+      loadUsers();
+      loadStats();
+    } catch (err) {
+      notify(err);
+    }
+  };
+
+  const handleDeleteStore = async (store) => {
+    if (!window.confirm(`Delete ${store.name}? All of its ratings will be removed.`)) return;
+    try {
+      await api(`/admin/stores/${store.id}`, { method: 'DELETE' });
+      loadStores();
+      loadStats();
+    } catch (err) {
+      notify(err);
+    }
   };
 
   const userColumns = [
@@ -283,25 +689,56 @@ const AdminDashboard = () => {
     { key: 'address', label: 'Address', sortable: true },
     { key: 'role', label: 'Role', sortable: true, render: (row) => <span className={`px-2 py-1 rounded text-xs ${row.role === 'admin' ? 'bg-purple-100 text-purple-800' : row.role === 'store_owner' ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'}`}>{row.role}</span> },
     { key: 'rating', label: 'Rating', render: (row) => row.role === 'store_owner' ? <StarRating rating={row.rating || 0} /> : '-' },
-    { key: 'actions', label: '', render: (row) => <button onClick={() => setModal({ type: 'viewUser', data: row })}><Eye size={16} className="text-gray-500 hover:text-blue-600" /></button> },
+    { key: 'actions', label: '', render: (row) => (
+      <div className="flex gap-2">
+        <button onClick={() => setModal({ type: 'viewUser', data: row })}><Eye size={16} className="text-gray-500 hover:text-blue-600" /></button>
+        <button onClick={() => setModal({ type: 'editUser', data: row })}><Pencil size={16} className="text-gray-500 hover:text-blue-600" /></button>
+        <button onClick={() => handleDeleteUser(row)}><Trash2 size={16} className="text-gray-500 hover:text-red-600" /></button>
+      </div>
+    ) },
+  ];
+
+  const lockedColumns = [
+    { key: 'name', label: 'Name' },
+    { key: 'email', label: 'Email' },
+    { key: 'role', label: 'Role' },
+    { key: 'failures', label: 'Failed Attempts' },
+    { key: 'last_failed_at', label: 'Last Attempt', render: (row) => new Date(row.last_failed_at).toLocaleString() },
+    { key: 'locked_until', label: 'Locked Until', render: (row) => new Date(row.locked_until).toLocaleString() },
+    { key: 'actions', label: '', render: (row) => <Button variant="secondary" onClick={() => handleUnlock(row)}>Unlock</Button> },
   ];
 
   const storeColumns = [
     { key: 'name', label: 'Name', sortable: true },
     { key: 'email', label: 'Email', sortable: true },
     { key: 'address', label: 'Address', sortable: true },
-    { key: 'rating', label: 'Rating', render: (row) => <StarRating rating={row.rating || 0} /> },
+    { key: 'category', label: 'Category', render: (row) => row.category || <span className="text-gray-400">-</span> },
+    { key: 'tags', label: 'Tags', render: (row) => <div className="flex gap-1 flex-wrap">{row.tags.map((t) => <TagChip key={t}>{t}</TagChip>)}</div> },
+    { key: 'rating', label: 'Rating', sortable: true, render: (row) => <StarRating rating={row.rating || 0} /> },
+    { key: 'rating_count', label: 'Reviews', sortable: true },
+    { key: 'owners', label: 'Owners', render: (row) => row.owners.length ? row.owners.map((o) => o.name).join(', ') : <span className="text-gray-400">None</span> },
+    { key: 'created_at', label: 'Created', sortable: true, render: (row) => new Date(row.created_at).toLocaleDateString() },
+    { key: 'actions', label: '', render: (row) => (
+      <div className="flex gap-2">
+        <button onClick={() => setModal({ type: 'storeOwners', data: row })} title="Manage owners"><Users size={16} className="text-gray-500 hover:text-blue-600" /></button>
+        <button onClick={() => setModal({ type: 'editStore', data: row })}><Pencil size={16} className="text-gray-500 hover:text-blue-600" /></button>
+        <button onClick={() => handleDeleteStore(row)}><Trash2 size={16} className="text-gray-500 hover:text-red-600" /></button>
+      </div>
+    ) },
   ];
 
   return (
     <DashboardLayout title="Admin Dashboard">
       {/* Navigation */}
       <div className="flex gap-2 mb-6 flex-wrap">
-        {['dashboard', 'users', 'stores'].map((v) => (
-          <Button key={v} variant={view === v ? 'primary' : 'secondary'} onClick={() => setView(v)}>
+        {['dashboard', 'users', 'stores', 'categories', 'locked', 'import'].map((v) => (
+          <Button key={v} variant={view === v ? 'primary' : 'secondary'} onClick={() => handleView(v)}>
             {v === 'dashboard' && <BarChart3 size={16} className="inline mr-1" />}
             {v === 'users' && <Users size={16} className="inline mr-1" />}
             {v === 'stores' && <Store size={16} className="inline mr-1" />}
+            {v === 'categories' && <Tag size={16} className="inline mr-1" />}
+            {v === 'locked' && <Lock size={16} className="inline mr-1" />}
+            {v === 'import' && <Upload size={16} className="inline mr-1" />}
             {v.charAt(0).toUpperCase() + v.slice(1)}
           </Button>
         ))}
@@ -313,6 +750,37 @@ const AdminDashboard = () => {
           <Card><div className="flex items-center gap-4"><Users size={40} className="text-blue-500" /><div><p className="text-3xl font-bold">{stats.totalUsers}</p><p className="text-gray-500">Total Users</p></div></div></Card>
           <Card><div className="flex items-center gap-4"><Store size={40} className="text-green-500" /><div><p className="text-3xl font-bold">{stats.totalStores}</p><p className="text-gray-500">Total Stores</p></div></div></Card>
           <Card><div className="flex items-center gap-4"><Star size={40} className="text-yellow-500" /><div><p className="text-3xl font-bold">{stats.totalRatings}</p><p className="text-gray-500">Total Ratings</p></div></div></Card>
+          <Card>
+            <h3 className="text-lg font-semibold mb-4">Users by Role</h3>
+            <div className="space-y-2">
+              {[['admin', 'Admins', 'bg-purple-400'], ['user', 'Users', 'bg-blue-400'], ['store_owner', 'Store Owners', 'bg-green-400']].map(([role, label, color]) => (
+                <div key={role} className="flex items-center gap-2">
+                  <span className="w-24 text-sm">{label}</span>
+                  <div className="flex-1 bg-gray-200 rounded-full h-2">
+                    <div className={`${color} h-2 rounded-full`} style={{ width: `${stats.totalUsers ? ((stats.usersByRole[role] || 0) / stats.totalUsers) * 100 : 0}%` }} />
+                  </div>
+                  <span className="text-sm text-gray-500 w-8">{stats.usersByRole[role] || 0}</span>
+                </div>
+              ))}
+            </div>
+          </Card>
+          <Card className="md:col-span-2">
+            <h3 className="text-lg font-semibold mb-4">Activity (last {stats.newUsersPerDay.length} days)</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <p className="text-sm font-medium text-gray-600 mb-2">New users ({stats.newUsersPerDay.reduce((sum, d) => sum + d.count, 0)})</p>
+                <BarChart data={stats.newUsersPerDay.map((d) => ({ label: new Date(d.date).toLocaleDateString(), value: d.count }))} max={Math.max(...stats.newUsersPerDay.map((d) => d.count), 1)} color="bg-blue-500" />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-600 mb-2">New ratings ({stats.newRatingsPerDay.reduce((sum, d) => sum + d.count, 0)})</p>
+                <BarChart data={stats.newRatingsPerDay.map((d) => ({ label: new Date(d.date).toLocaleDateString(), value: d.count }))} max={Math.max(...stats.newRatingsPerDay.map((d) => d.count), 1)} color="bg-yellow-400" />
+              </div>
+            </div>
+          </Card>
+          <Leaderboard title="Top Rated Stores" rows={stats.topRatedStores} render={(s) => <><span>{s.name}</span><span className="text-sm text-gray-500">{s.rating} ({s.rating_count})</span></>} />
+          <Leaderboard title="Lowest Rated Stores" rows={stats.lowestRatedStores} render={(s) => <><span>{s.name}</span><span className="text-sm text-gray-500">{s.rating} ({s.rating_count})</span></>} />
+          <Leaderboard title="Most Active Raters" rows={stats.mostActiveRaters} render={(u) => <><span>{u.name}</span><span className="text-sm text-gray-500">{u.rating_count} ratings, avg {u.average_given}</span></>} />
+          <Leaderboard title={`Stores Without Ratings (${stats.unratedStores.total})`} rows={stats.unratedStores.stores} empty="Every store has been rated" render={(s) => <><span>{s.name}</span><span className="text-sm text-gray-500">since {new Date(s.created_at).toLocaleDateString()}</span></>} />
         </div>
       )}
 
@@ -321,20 +789,23 @@ const AdminDashboard = () => {
         <Card>
           <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
             <h2 className="text-lg font-semibold">Users</h2>
-            <Button onClick={() => setModal({ type: 'addUser' })}><Plus size={16} className="inline mr-1" />Add User</Button>
+            <div className="flex gap-2 flex-wrap">
+              <ExportButtons endpoint="/admin/users/export" params={{ ...filters, sortBy: sortConfig.key, order: sortConfig.order }} filename="users" />
+              <Button onClick={() => setModal({ type: 'addUser' })}><Plus size={16} className="inline mr-1" />Add User</Button>
+            </div>
           </div>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
-            <Input placeholder="Filter by name" value={filters.name} onChange={(e) => setFilters({ ...filters, name: e.target.value })} />
-            <Input placeholder="Filter by email" value={filters.email} onChange={(e) => setFilters({ ...filters, email: e.target.value })} />
-            <Input placeholder="Filter by address" value={filters.address} onChange={(e) => setFilters({ ...filters, address: e.target.value })} />
-            <select className="px-3 py-2 border border-gray-300 rounded-lg" value={filters.role} onChange={(e) => setFilters({ ...filters, role: e.target.value })}>
+            <Input placeholder="Filter by name" value={filters.name} onChange={(e) => handleFilter('name', e.target.value)} />
+            <Input placeholder="Filter by email" value={filters.email} onChange={(e) => handleFilter('email', e.target.value)} />
+            <Input placeholder="Filter by address" value={filters.address} onChange={(e) => handleFilter('address', e.target.value)} />
+            <select className="px-3 py-2 border border-gray-300 rounded-lg" value={filters.role} onChange={(e) => handleFilter('role', e.target.value)}>
               <option value="">All Roles</option>
               <option value="admin">Admin</option>
               <option value="user">User</option>
               <option value="store_owner">Store Owner</option>
             </select>
           </div>
-          <SortableTable columns={userColumns} data={users} onSort={handleSort} sortConfig={sortConfig} />
+          <SortableTable columns={userColumns} data={users} onSort={handleSort} sortConfig={sortConfig} pagination={{ page, limit: PAGE_SIZE, total, onPageChange: setPage }} />
         </Card>
       )}
 
@@ -343,25 +814,231 @@ const AdminDashboard = () => {
         <Card>
           <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
             <h2 className="text-lg font-semibold">Stores</h2>
-            <Button onClick={() => setModal({ type: 'addStore' })}><Plus size={16} className="inline mr-1" />Add Store</Button>
+            <div className="flex gap-2 flex-wrap">
+              <ExportButtons endpoint="/admin/stores/export" params={{ ...filters, sortBy: sortConfig.key, order: sortConfig.order }} filename="stores" />
+              <Button onClick={() => setModal({ type: 'addStore' })}><Plus size={16} className="inline mr-1" />Add Store</Button>
+            </div>
           </div>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-4">
-            <Input placeholder="Filter by name" value={filters.name} onChange={(e) => setFilters({ ...filters, name: e.target.value })} />
-            <Input placeholder="Filter by email" value={filters.email} onChange={(e) => setFilters({ ...filters, email: e.target.value })} />
-            <Input placeholder="Filter by address" value={filters.address} onChange={(e) => setFilters({ ...filters, address: e.target.value })} />
+            <Input placeholder="Filter by name" value={filters.name} onChange={(e) => handleFilter('name', e.target.value)} />
+            <Input placeholder="Filter by email" value={filters.email} onChange={(e) => handleFilter('email', e.target.value)} />
+            <Input placeholder="Filter by address" value={filters.address} onChange={(e) => handleFilter('address', e.target.value)} />
+          </div>
+          <SortableTable columns={storeColumns} data={stores} onSort={handleSort} sortConfig={sortConfig} pagination={{ page, limit: PAGE_SIZE, total, onPageChange: setPage }} />
+        </Card>
+      )}
+
+      {/* Locked Accounts View */}
+      {view === 'locked' && (
+        <Card>
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold">Locked Accounts</h2>
+            <Button variant="secondary" onClick={loadLockedUsers} disabled={loading}>Refresh</Button>
           </div>
-          <SortableTable columns={storeColumns} data={stores} onSort={handleSort} sortConfig={sortConfig} />
+          {lockedUsers.length === 0
+            ? <p className="text-gray-500 text-sm">No accounts are locked right now.</p>
+            : <SortableTable columns={lockedColumns} data={lockedUsers} />}
         </Card>
       )}
 
+      {/* Categories View */}
+      {view === 'categories' && <CategoriesPanel />}
+
+      {/* Import View */}
+      {view === 'import' && <ImportPanel onImported={loadStats} />}
+
       {/* Modals */}
       <AddUserModal isOpen={modal.type === 'addUser'} onClose={() => setModal({ type: null })} onSuccess={() => { setModal({ type: null }); loadUsers(); loadStats(); }} />
       <AddStoreModal isOpen={modal.type === 'addStore'} onClose={() => setModal({ type: null })} onSuccess={() => { setModal({ type: null }); loadStores(); loadStats(); }} />
-      <ViewUserModal isOpen={modal.type === 'viewUser'} user={modal.data} onClose={() => setModal({ type: null })} />
+      <ViewUserModal isOpen={modal.type === 'viewUser'} user={modal.data} onClose={() => setModal({ type: null })} onEdit={(u) => setModal({ type: 'editUser', data: u })} onDelete={handleDeleteUser} />
+      <EditUserModal isOpen={modal.type === 'editUser'} user={modal.data} onClose={() => setModal({ type: null })} onSuccess={() => { setModal({ type: null }); loadUsers(); }} />
+      <EditStoreModal isOpen={modal.type === 'editStore'} store={modal.data} onClose={() => setModal({ type: null })} onSuccess={() => { setModal({ type: null }); loadStores(); }} />
+      <StoreOwnersModal isOpen={modal.type === 'storeOwners'} store={modal.data} onClose={() => { setModal({ type: null }); loadStores(); }} />
     </DashboardLayout>
   );
 };
 
+// Store categories with the number of stores in each; a category can only be deleted once no store uses it
+const CategoriesPanel = () => {
+  const notify = useNotify();
+  const [categories, setCategories] = useState([]);
+  const [name, setName] = useState('');
+  const [editing, setEditing] = useState({ id: null, name: '' });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadCategories();
+  }, []);
+
+  const loadCategories = async () => {
+    try {
+      setCategories(await api('/admin/categories'));
+    } catch (err) {
+      notify(err);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const message = rules.categoryName(name);
+    setError(message);
+    if (message) return;
+    try {
+      await api('/admin/categories', { method: 'POST', body: JSON.stringify({ name }) });
+      setName('');
+      loadCategories();
+    } catch (err) {
+      setError(err.fields?.name || err.message);
+    }
+  };
+
+  const handleRename = async () => {
+    try {
+      await api(`/admin/categories/${editing.id}`, { method: 'PUT', body: JSON.stringify({ name: editing.name }) });
+      setEditing({ id: null, name: '' });
+      loadCategories();
+    } catch (err) {
+      notify(err);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the category ${category.name}?`)) return;
+    try {
+      await api(`/admin/categories/${category.id}`, { method: 'DELETE' });
+      loadCategories();
+    } catch (err) {
+      notify(err);
+    }
+  };
+
+  const columns = [
+    { key: 'name', label: 'Name', render: (row) => editing.id === row.id
+      ? <input className="px-2 py-1 border border-gray-300 rounded" value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} />
+      : row.name },
+    { key: 'store_count', label: 'Stores' },
+    { key: 'actions', label: '', render: (row) => (editing.id === row.id ? (
+      <div className="flex gap-2">
+        <Button onClick={handleRename}>Save</Button>
+        <Button variant="secondary" onClick={() => setEditing({ id: null, name: '' })}>Cancel</Button>
+      </div>
+    ) : (
+      <div className="flex gap-2">
+        <button onClick={() => setEditing({ id: row.id, name: row.name })}><Pencil size={16} className="text-gray-500 hover:text-blue-600" /></button>
+        <button onClick={() => handleDelete(row)} disabled={row.store_count > 0} title={row.store_count > 0 ? 'Still used by stores' : 'Delete'}>
+          <Trash2 size={16} className={row.store_count > 0 ? 'text-gray-300' : 'text-gray-500 hover:text-red-600'} />
+        </button>
+      </div>
+    )) },
+  ];
+
+  return (
+    <Card>
+      <h2 className="text-lg font-semibold mb-4">Categories</h2>
+      <form onSubmit={handleAdd} className="flex gap-2 items-start mb-4">
+        <div className="flex-1"><Input placeholder="New category name" value={name} onChange={(e) => setName(e.target.value)} error={error} /></div>
+        <Button type="submit"><Plus size={16} className="inline mr-1" />Add</Button>
+      </form>
+      {categories.length === 0
+        ? <p className="text-gray-500 text-sm">No categories yet.</p>
+        : <SortableTable columns={columns} data={categories} />}
+    </Card>
+  );
+};
+
+// Bulk CSV import: preview with a dry run, review the per-row report, then commit
+const ImportPanel = ({ onImported }) => {
+  const templates = {
+    users: 'name,email,password,address,role',
+    stores: 'name,email,address,owner_name,owner_email,owner_password,owner_address',
+  };
+  const [kind, setKind] = useState('users');
+  const [file, setFile] = useState(null);
+  const [csv, setCsv] = useState('');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const reset = () => {
+    setFile(null);
+    setCsv('');
+    setReport(null);
+    setError('');
+  };
+
+  const handleFile = (e) => {
+    const selected = e.target.files[0];
+    setReport(null);
+    setError('');
+    if (!selected) return;
+    setFile(selected);
+    const reader = new FileReader();
+    reader.onload = () => setCsv(reader.result);
+    reader.readAsText(selected);
+  };
+
+  const runImport = async (dryRun) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api(`/admin/import/${kind}?dryRun=${dryRun}`, { method: 'POST', headers: { 'Content-Type': 'text/csv' }, body: csv });
+      setReport(data);
+      if (data.committed) onImported();
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Card>
+      <h2 className="text-lg font-semibold mb-4">Bulk Import</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Import</label>
+          <select className="w-full px-3 py-2 border border-gray-300 rounded-lg" value={kind} onChange={(e) => { setKind(e.target.value); reset(); }}>
+            <option value="users">Users</option>
+            <option value="stores">Stores with owners</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">CSV file</label>
+          <input key={kind} type="file" accept=".csv,text/csv" onChange={handleFile} className="w-full text-sm" />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">Header row: <code className="bg-gray-100 px-1 rounded">{templates[kind]}</code></p>
+      <div className="flex gap-2 mb-4">
+        <Button variant="secondary" onClick={() => runImport(true)} disabled={!csv || loading}>{loading && !report ? 'Checking...' : 'Preview'}</Button>
+        <Button onClick={() => runImport(false)} disabled={!report || report.dryRun === false || report.failed > 0 || loading}>
+          {report && !report.failed ? `Import ${report.total} rows` : 'Import'}
+        </Button>
+      </div>
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+      {report && (
+        <div>
+          <p className={`text-sm mb-3 ${report.failed ? 'text-red-600' : 'text-green-600'}`}>
+            {report.committed
+              ? `Imported ${report.imported} rows from ${file?.name}.`
+              : report.failed
+                ? `${report.failed} of ${report.total} rows have errors. Fix the file and preview again - nothing was imported.`
+                : `All ${report.total} rows are valid. Review them and click Import to commit.`}
+          </p>
+          <SortableTable
+            columns={[
+              { key: 'row', label: 'Row' },
+              { key: 'name', label: 'Name' },
+              { key: 'email', label: 'Email' },
+              { key: 'status', label: 'Status', render: (r) => <span className={`px-2 py-1 rounded text-xs ${r.status === 'ok' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>{r.status}</span> },
+              { key: 'errors', label: 'Errors', render: (r) => <span className="text-red-600">{r.errors.join('; ')}</span> },
+            ]}
+            data={report.rows}
+          />
+        </div>
+      )}
+    </Card>
+  );
+};
+
 const AddUserModal = ({ isOpen, onClose, onSuccess }) => {
   const [form, setForm] = useState({ name: '', email: '', password: '', address: '', role: 'user' });
   const [errors, setErrors] = useState({});
@@ -370,9 +1047,9 @@ const AddUserModal = ({ isOpen, onClose, onSuccess }) => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    const newErrors = { name: validate.name(form.name), email: validate.email(form.email), password: validate.password(form.password) };
+    const newErrors = validate(schemas.user, form);
     setErrors(newErrors);
-    if (Object.values(newErrors).some((e) => e)) return;
+    if (hasErrors(newErrors)) return;
 
     setLoading(true);
     try {
@@ -380,7 +1057,7 @@ const AddUserModal = ({ isOpen, onClose, onSuccess }) => {
       setForm({ name: '', email: '', password: '', address: '', role: 'user' });
       onSuccess();
     } catch (err) {
-      setServerError(err.message);
+      showServerErrors(err, setErrors, setServerError);
     }
     setLoading(false);
   };
@@ -391,7 +1068,7 @@ const AddUserModal = ({ isOpen, onClose, onSuccess }) => {
         <Input label="Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} error={errors.name} />
         <Input label="Email" type="email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} error={errors.email} />
         <Input label="Password" type="password" value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} error={errors.password} />
-        <Input label="Address" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} />
+        <Input label="Address" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} error={errors.address} />
         <div className="mb-3">
           <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
           <select className="w-full px-3 py-2 border border-gray-300 rounded-lg" value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}>
@@ -406,28 +1083,147 @@ const AddUserModal = ({ isOpen, onClose, onSuccess }) => {
   );
 };
 
-const AddStoreModal = ({ isOpen, onClose, onSuccess }) => {
-  const [form, setForm] = useState({ name: '', email: '', address: '', ownerName: '', ownerEmail: '', ownerPassword: '', ownerAddress: '' });
-  const [errors, setErrors] = useState({});
-  const [serverError, setServerError] = useState('');
+// Searches users and store owners by name or email; admins are left out since they cannot own stores
+const UserPicker = ({ label, selected, onSelect, error }) => {
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    if (selected || !search.trim()) {
+      setResults([]);
+      return;
+    }
+    const params = new URLSearchParams({ search: search.trim(), role: 'user,store_owner', limit: 5 });
+    api(`/admin/users?${params}`).then((data) => setResults(data.items)).catch(() => setResults([]));
+  }, [search, selected]);
+
+  return (
+    <div className="mb-3">
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      {selected ? (
+        <div className="flex justify-between items-center px-3 py-2 border border-gray-300 rounded-lg">
+          <div>
+            <p className="text-sm font-medium">{selected.name}</p>
+            <p className="text-xs text-gray-500">{selected.email}</p>
+          </div>
+          <button type="button" onClick={() => onSelect(null)} className="text-sm text-blue-600">Change</button>
+        </div>
+      ) : (
+        <>
+          <div className="relative">
+            <Search size={16} className="absolute left-3 top-3 text-gray-400" />
+            <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search by name or email"
+              className={`w-full pl-9 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none ${error ? 'border-red-500' : 'border-gray-300'}`} />
+          </div>
+          {results.length > 0 && (
+            <ul className="border border-gray-200 rounded-lg mt-1 divide-y">
+              {results.map((u) => (
+                <li key={u.id}>
+                  <button type="button" onClick={() => { onSelect(u); setSearch(''); }} className="w-full text-left px-3 py-2 hover:bg-gray-50">
+                    <p className="text-sm">{u.name}</p>
+                    <p className="text-xs text-gray-500">{u.email} · {u.role}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {search.trim() && !results.length && <p className="text-xs text-gray-500 mt-1">No matching users</p>}
+        </>
+      )}
+      {error && <p className="text-red-500 text-xs mt-1">{error}</p>}
+    </div>
+  );
+};
+
+// Admin category list for the store forms, reloaded each time a form opens
+const useCategories = (isOpen) => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    if (isOpen) api('/admin/categories').then(setCategories).catch(() => setCategories([]));
+  }, [isOpen]);
+
+  return categories;
+};
+
+// Category select and tags input shared by the add and edit store forms
+const StoreLabelFields = ({ form, setForm, errors, categories }) => (
+  <>
+    <div className="mb-3">
+      <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+      <select className={`w-full px-3 py-2 border rounded-lg ${errors.categoryId ? 'border-red-500' : 'border-gray-300'}`} value={form.categoryId} onChange={(e) => setForm({ ...form, categoryId: e.target.value })}>
+        <option value="">No category</option>
+        {categories.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+      </select>
+      {errors.categoryId && <p className="text-red-500 text-xs mt-1">{errors.categoryId}</p>}
+    </div>
+    <Input label="Tags" value={form.tags} onChange={(e) => setForm({ ...form, tags: e.target.value })} error={errors.tags} placeholder="Comma separated, e.g. wifi, vegan" />
+  </>
+);
+
+// Coordinates shared by the add and edit store forms. Left empty, the server geocodes the address when the store
+// is saved; "Find from address" fills them in beforehand so they can be checked or adjusted.
+const StoreLocationFields = ({ form, setForm, errors }) => {
+  const [lookup, setLookup] = useState({ loading: false, error: '' });
+
+  const findLocation = async () => {
+    setLookup({ loading: true, error: '' });
+    try {
+      const { latitude, longitude } = await api(`/admin/geocode?address=${encodeURIComponent(form.address)}`);
+      setForm((f) => ({ ...f, latitude: String(latitude), longitude: String(longitude) }));
+      setLookup({ loading: false, error: '' });
+    } catch (err) {
+      setLookup({ loading: false, error: err.message });
+    }
+  };
+
+  return (
+    <div className="mb-3">
+      <div className="grid grid-cols-2 gap-2">
+        <Input label="Latitude" type="number" step="any" value={form.latitude} onChange={(e) => setForm({ ...form, latitude: e.target.value })} error={errors.latitude} />
+        <Input label="Longitude" type="number" step="any" value={form.longitude} onChange={(e) => setForm({ ...form, longitude: e.target.value })} error={errors.longitude} />
+      </div>
+      <Button type="button" variant="secondary" onClick={findLocation} disabled={!form.address.trim() || lookup.loading}>
+        {lookup.loading ? 'Looking up...' : 'Find from address'}
+      </Button>
+      {lookup.error && <p className="text-red-500 text-xs mt-1">{lookup.error}</p>}
+    </div>
+  );
+};
+
+// The owner is either a new account typed in here or an existing user picked from the list, who is promoted to store owner
+const AddStoreModal = ({ isOpen, onClose, onSuccess }) => {
+  const emptyForm = {
+    name: '', email: '', address: '', categoryId: '', tags: '', latitude: '', longitude: '',
+    ownerName: '', ownerEmail: '', ownerPassword: '', ownerAddress: ''
+  };
+  const categories = useCategories(isOpen);
+  const [form, setForm] = useState(emptyForm);
+  const [ownerMode, setOwnerMode] = useState('new');
+  const [owner, setOwner] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [serverError, setServerError] = useState('');
   const [loading, setLoading] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    const newErrors = {
-      name: validate.name(form.name), email: validate.email(form.email),
-      ownerName: validate.name(form.ownerName), ownerEmail: validate.email(form.ownerEmail), ownerPassword: validate.password(form.ownerPassword)
-    };
+    const existing = ownerMode === 'existing';
+    const body = storeBody(form);
+    const newErrors = validate(existing ? schemas.store : schemas.storeWithOwner, body);
+    if (existing && !owner) newErrors.ownerId = 'Choose a user';
     setErrors(newErrors);
-    if (Object.values(newErrors).some((e) => e)) return;
+    if (hasErrors(newErrors)) return;
 
     setLoading(true);
     try {
-      await api('/admin/stores', { method: 'POST', body: JSON.stringify(form) });
-      setForm({ name: '', email: '', address: '', ownerName: '', ownerEmail: '', ownerPassword: '', ownerAddress: '' });
+      const { name, email, address, categoryId, tags, latitude, longitude } = body;
+      const storeFields = { name, email, address, categoryId, tags, latitude, longitude };
+      await api('/admin/stores', { method: 'POST', body: JSON.stringify(existing ? { ...storeFields, ownerId: owner.id } : body) });
+      setForm(emptyForm);
+      setOwner(null);
       onSuccess();
     } catch (err) {
-      setServerError(err.message);
+      showServerErrors(err, setErrors, setServerError);
     }
     setLoading(false);
   };
@@ -438,12 +1234,24 @@ const AddStoreModal = ({ isOpen, onClose, onSuccess }) => {
         <h4 className="font-medium mb-2">Store Details</h4>
         <Input label="Store Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} error={errors.name} />
         <Input label="Store Email" type="email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} error={errors.email} />
-        <Input label="Store Address" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} />
+        <Input label="Store Address" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} error={errors.address} />
+        <StoreLocationFields form={form} setForm={setForm} errors={errors} />
+        <StoreLabelFields form={form} setForm={setForm} errors={errors} categories={categories} />
         <h4 className="font-medium mb-2 mt-4">Owner Details</h4>
-        <Input label="Owner Name" value={form.ownerName} onChange={(e) => setForm({ ...form, ownerName: e.target.value })} error={errors.ownerName} />
-        <Input label="Owner Email" type="email" value={form.ownerEmail} onChange={(e) => setForm({ ...form, ownerEmail: e.target.value })} error={errors.ownerEmail} />
-        <Input label="Owner Password" type="password" value={form.ownerPassword} onChange={(e) => setForm({ ...form, ownerPassword: e.target.value })} error={errors.ownerPassword} />
-        <Input label="Owner Address" value={form.ownerAddress} onChange={(e) => setForm({ ...form, ownerAddress: e.target.value })} />
+        <div className="flex gap-2 mb-3">
+          <Button type="button" variant={ownerMode === 'new' ? 'primary' : 'secondary'} onClick={() => setOwnerMode('new')}>New account</Button>
+          <Button type="button" variant={ownerMode === 'existing' ? 'primary' : 'secondary'} onClick={() => setOwnerMode('existing')}>Existing user</Button>
+        </div>
+        {ownerMode === 'existing' ? (
+          <UserPicker label="Owner" selected={owner} onSelect={setOwner} error={errors.ownerId} />
+        ) : (
+          <>
+            <Input label="Owner Name" value={form.ownerName} onChange={(e) => setForm({ ...form, ownerName: e.target.value })} error={errors.ownerName} />
+            <Input label="Owner Email" type="email" value={form.ownerEmail} onChange={(e) => setForm({ ...form, ownerEmail: e.target.value })} error={errors.ownerEmail} />
+            <Input label="Owner Password" type="password" value={form.ownerPassword} onChange={(e) => setForm({ ...form, ownerPassword: e.target.value })} error={errors.ownerPassword} />
+            <Input label="Owner Address" value={form.ownerAddress} onChange={(e) => setForm({ ...form, ownerAddress: e.target.value })} error={errors.ownerAddress} />
+          </>
+        )}
         {serverError && <p className="text-red-500 text-sm mb-3">{serverError}</p>}
         <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Adding...' : 'Add Store'}</Button>
       </form>
@@ -451,583 +1259,377 @@ const AddStoreModal = ({ isOpen, onClose, onSuccess }) => {
   );
 };
 
-const ViewUserModal = ({ isOpen, user, onClose }) => (
-  <Modal isOpen={isOpen} onClose={onClose} title="User Details">
-    {user && (
-      <div className="space-y-3">
-        <p><strong>Name:</strong> {user.name}</p>
-        <p><strong>Email:</strong> {user.email}</p>
-        <p><strong>Address:</strong> {user.address || 'N/A'}</p>
-        <p><strong>Role:</strong> {user.role}</p>
-        {user.role === 'store_owner' && <p><strong>Rating:</strong> <StarRating rating={user.rating || 0} /></p>}
-      </div>
-    )}
-  </Modal>
-);
-
-// User Dashboard
-const UserDashboard = () => {
-  const [stores, setStores] = useState([]);
-  const [filters, setFilters] = useState({ name: '', address: '' });
-  const [sortConfig, setSortConfig] = useState({ key: 'name', order: 'asc' });
-  const [passwordModal, setPasswordModal] = useState(false);
+const EditUserModal = ({ isOpen, user, onClose, onSuccess }) => {
+  const [form, setForm] = useState({ name: '', email: '', password: '', address: '', role: 'user' });
+  const [errors, setErrors] = useState({});
+  const [serverError, setServerError] = useState('');
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
-    loadStores();
-  }, [filters, sortConfig]);
+    if (user) setForm({ name: user.name, email: user.email, password: '', address: user.address || '', role: user.role });
+    setErrors({});
+    setServerError('');
+  }, [user]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const newErrors = validate(schemas.user, form, { optional: ['password'] });
+    setErrors(newErrors);
+    if (hasErrors(newErrors)) return;
 
-  const loadStores = async () => {
     setLoading(true);
     try {
-      const params = new URLSearchParams({ ...filters, sortBy: sortConfig.key, order: sortConfig.order });
-      const data = await api(`/stores?${params}`);
-      setStores(data);
+      const { password, ...rest } = form;
+      await api(`/admin/users/${user.id}`, { method: 'PUT', body: JSON.stringify(password ? form : rest) });
+      onSuccess();
     } catch (err) {
-      console.error(err);
+      showServerErrors(err, setErrors, setServerError);
     }
     setLoading(false);
   };
 
-  const handleRate = async (storeId, rating) => {
-    try {
-      await api('/ratings', { method: 'POST', body: JSON.stringify({ storeId, rating }) });
-      loadStores();
-    } catch (err) {
-      alert(err.message);
-    }
-  };
-
-  const handleSort = (key) => {
-    setSortConfig({ key, order: sortConfig.key === key && sortConfig.order === 'asc' ? 'desc' : 'asc' });
-  };
-
   return (
-    <DashboardLayout title="Store Ratings">
-      <div className="flex justify-end mb-4">
-        <Button variant="secondary" onClick={() => setPasswordModal(true)}><Lock size={16} className="inline mr-1" />Change Password</Button>
-      </div>
-      <Card>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
-          <div className="relative">
-            <Search size={16} className="absolute left-3 top-3 text-gray-400" />
-            <input className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg" placeholder="Search by name" value={filters.name} onChange={(e) => setFilters({ ...filters, name: e.target.value })} />
-          </div>
-          <div className="relative">
-            <Search size={16} className="absolute left-3 top-3 text-gray-400" />
-            <input className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg" placeholder="Search by address" value={filters.address} onChange={(e) => setFilters({ ...filters, address: e.target.value })} />
-          </div>
-        </div>
-        <div className="space-y-4">
-          {stores.map((store) => (
-            <div key={store.id} className="border rounded-lg p-4 hover:shadow-md transition">
-              <div className="flex justify-between items-start flex-wrap gap-2">
-                <div>
-                  <h3 className="font-semibold text-lg">{store.name}</h3>
-                  <p className="text-gray-500 text-sm">{store.address}</p>
-                </div>
-                <div className="text-right">
-                  <p className="text-sm text-gray-600 mb-1">Overall: {store.overall_rating || 0}/5</p>
-                  <StarRating rating={store.overall_rating || 0} />
-                </div>
-              </div>
-              <div className="mt-3 pt-3 border-t flex justify-between items-center flex-wrap gap-2">
-                <div>
-                  <p className="text-sm text-gray-600 mb-1">Your Rating:</p>
-                  <StarRating rating={store.user_rating || 0} interactive onRate={(r) => handleRate(store.id, r)} />
-                </div>
-                <p className="text-xs text-gray-400">{store.user_rating ? 'Click to modify' : 'Click to rate'}</p>
-              </div
-
-              import React, { useState, useEffect, createContext, useContext } from 'react';
-import { Star, LogOut, Users, Store, BarChart3, Search, ArrowUpDown, Eye, Plus, Lock, Menu, X } from 'lucide-react';
-
-// Auth Context
-const AuthContext = createContext(null);
-const useAuth = () => useContext(AuthContext);
-
-// API Base URL
-const API = 'http://localhost:5000/api';
-
-// API Helper
-const api = async (endpoint, options = {}) => {
-  const token = localStorage.getItem('token');
-  const res = await fetch(`${API}${endpoint}`, {
-    ...options,
-    headers: {
-      'Content-Type': 'application/json',
-      ...(token && { Authorization: `Bearer ${token}` }),
-      ...options.headers,
-    },
-  });
-  const data = await res.json();
-  if (!res.ok) throw new Error(data.error || data.errors?.join(', ') || 'Error');
-  return data;
-};
-
-// Validation
-const validate = {
-  name: (v) => v?.length >= 20 && v?.length <= 60 ? '' : 'Name: 20-60 characters',
-  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) ? '' : 'Invalid email',
-  password: (v) => /^(?=.*[A-Z])(?=.*[!@#$%^&*])[A-Za-z\d!@#$%^&*]{8,16}$/.test(v) ? '' : 'Password: 8-16 chars, 1 uppercase, 1 special',
-  address: (v) => !v || v.length <= 400 ? '' : 'Address: max 400 chars',
-};
-
-// Components
-const Input = ({ label, error, ...props }) => (
-  <div className="mb-3">
-    <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
-    <input {...props} className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none ${error ? 'border-red-500' : 'border-gray-300'}`} />
-    {error && <p className="text-red-500 text-xs mt-1">{error}</p>}
-  </div>
-);
-
-const Button = ({ children, variant = 'primary', ...props }) => {
-  const styles = {
-    primary: 'bg-blue-600 hover:bg-blue-700 text-white',
-    secondary: 'bg-gray-200 hover:bg-gray-300 text-gray-800',
-    danger: 'bg-red-600 hover:bg-red-700 text-white',
-  };
-  return <button {...props} className={`px-4 py-2 rounded-lg font-medium transition ${styles[variant]} ${props.className || ''}`}>{children}</button>;
-};
-
-const Card = ({ children, className = '' }) => (
-  <div className={`bg-white rounded-xl shadow-md p-6 ${className}`}>{children}</div>
-);
-
-const StarRating = ({ rating, onRate, interactive = false }) => (
-  <div className="flex gap-1">
-    {[1, 2, 3, 4, 5].map((n) => (
-      <Star
-        key={n}
-        size={20}
-        className={`${n <= rating ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'} ${interactive ? 'cursor-pointer hover:text-yellow-400' : ''}`}
-        onClick={() => interactive && onRate?.(n)}
-      />
-    ))}
-  </div>
-);
-
-const Modal = ({ isOpen, onClose, title, children }) => {
-  if (!isOpen) return null;
-  return (
-    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
-        <div className="flex justify-between items-center p-4 border-b">
-          <h3 className="font-semibold text-lg">{title}</h3>
-          <button onClick={onClose}><X size={20} /></button>
+    <Modal isOpen={isOpen} onClose={onClose} title="Edit User">
+      <form onSubmit={handleSubmit}>
+        <Input label="Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} error={errors.name} />
+        <Input label="Email" type="email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} error={errors.email} />
+        <Input label="New Password" type="password" value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} error={errors.password} placeholder="Leave blank to keep current" />
+        <Input label="Address" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} error={errors.address} />
+        <div className="mb-3">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+          <select className="w-full px-3 py-2 border border-gray-300 rounded-lg" value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}>
+            <option value="user">User</option>
+            <option value="admin">Admin</option>
+            <option value="store_owner">Store Owner</option>
+          </select>
+          {user?.role === 'store_owner' && form.role !== 'store_owner' && <p className="text-xs text-gray-500 mt-1">This user will be detached from their store.</p>}
         </div>
-        <div className="p-4">{children}</div>
-      </div>
-    </div>
+        {serverError && <p className="text-red-500 text-sm mb-3">{serverError}</p>}
+        <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Saving...' : 'Save Changes'}</Button>
+      </form>
+    </Modal>
   );
 };
 
-const SortableTable = ({ columns, data, onSort, sortConfig }) => (
-  <div className="overflow-x-auto">
-    <table className="w-full">
-      <thead className="bg-gray-50">
-        <tr>
-          {columns.map((col) => (
-            <th key={col.key} className="px-4 py-3 text-left text-sm font-medium text-gray-600">
-              <div className="flex items-center gap-1 cursor-pointer" onClick={() => col.sortable && onSort(col.key)}>
-                {col.label}
-                {col.sortable && <ArrowUpDown size={14} className={sortConfig?.key === col.key ? 'text-blue-600' : ''} />}
-              </div>
-            </th>
-          ))}
-        </tr>
-      </thead>
-      <tbody className="divide-y">
-        {data.map((row, i) => (
-          <tr key={row.id || i} className="hover:bg-gray-50">
-            {columns.map((col) => (
-              <td key={col.key} className="px-4 py-3 text-sm">{col.render ? col.render(row) : row[col.key]}</td>
-            ))}
-          </tr>
-        ))}
-      </tbody>
-    </table>
-  </div>
-);
-
-// Auth Pages
-const LoginPage = ({ onSwitch }) => {
-  const { login } = useAuth();
-  const [form, setForm] = useState({ email: '', password: '' });
-  const [error, setError] = useState('');
+// Emptied coordinates clear the store's location, unless the address changed too: then the new one is geocoded
+const EditStoreModal = ({ isOpen, store, onClose, onSuccess }) => {
+  const categories = useCategories(isOpen);
+  const [form, setForm] = useState({ name: '', email: '', address: '', categoryId: '', tags: '', latitude: '', longitude: '' });
+  const [errors, setErrors] = useState({});
+  const [serverError, setServerError] = useState('');
   const [loading, setLoading] = useState(false);
 
+  useEffect(() => {
+    if (store) {
+      setForm({
+        name: store.name, email: store.email, address: store.address || '', categoryId: store.category_id || '', tags: store.tags.join(', '),
+        latitude: store.latitude ?? '', longitude: store.longitude ?? ''
+      });
+    }
+    setErrors({});
+    setServerError('');
+  }, [store]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const body = storeBody(form);
+    const newErrors = validate(schemas.store, body);
+    setErrors(newErrors);
+    if (hasErrors(newErrors)) return;
+
     setLoading(true);
-    setError('');
     try {
-      const data = await api('/auth/login', { method: 'POST', body: JSON.stringify(form) });
-      login(data.user, data.token);
+      const { latitude, longitude, ...rest } = body;
+      const regeocode = latitude === null && longitude === null && form.address !== (store.address || '');
+      await api(`/admin/stores/${store.id}`, { method: 'PUT', body: JSON.stringify(regeocode ? rest : body) });
+      onSuccess();
     } catch (err) {
-      setError(err.message);
+      showServerErrors(err, setErrors, setServerError);
     }
     setLoading(false);
   };
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
-      <Card className="w-full max-w-md">
-        <h1 className="text-2xl font-bold text-center mb-6">Store Rating Platform</h1>
-        <form onSubmit={handleSubmit}>
-          <Input label="Email" type="email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} required />
-          <Input label="Password" type="password" value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} required />
-          {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
-          <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Logging in...' : 'Login'}</Button>
-        </form>
-        <p className="text-center mt-4 text-sm text-gray-600">
-          Don't have an account? <button onClick={onSwitch} className="text-blue-600 font-medium">Sign Up</button>
-        </p>
-      </Card>
-    </div>
+    <Modal isOpen={isOpen} onClose={onClose} title="Edit Store">
+      <form onSubmit={handleSubmit}>
+        <Input label="Store Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} error={errors.name} />
+        <Input label="Store Email" type="email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} error={errors.email} />
+        <Input label="Store Address" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} error={errors.address} />
+        <StoreLocationFields form={form} setForm={setForm} errors={errors} />
+        <StoreLabelFields form={form} setForm={setForm} errors={errors} categories={categories} />
+        {serverError && <p className="text-red-500 text-sm mb-3">{serverError}</p>}
+        <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Saving...' : 'Save Changes'}</Button>
+      </form>
+    </Modal>
   );
 };
 
-const RegisterPage = ({ onSwitch }) => {
-  const { login } = useAuth();
-  const [form, setForm] = useState({ name: '', email: '', password: '', address: '' });
-  const [errors, setErrors] = useState({});
-  const [serverError, setServerError] = useState('');
+// Lists a store's owners and assigns or removes existing accounts. A user assigned here becomes a store owner;
+// an owner removed from their last store becomes a normal user again.
+const StoreOwnersModal = ({ isOpen, store, onClose }) => {
+  const [owners, setOwners] = useState([]);
+  const [user, setUser] = useState(null);
+  const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
-  const handleChange = (field, value) => {
-    setForm({ ...form, [field]: value });
-    setErrors({ ...errors, [field]: validate[field]?.(value) || '' });
-  };
+  useEffect(() => {
+    if (!isOpen || !store) return;
+    setOwners(store.owners);
+    setUser(null);
+    setError('');
+  }, [isOpen, store]);
 
-  const handleSubmit = async (e) => {
+  const handleAdd = async (e) => {
     e.preventDefault();
-    const newErrors = { name: validate.name(form.name), email: validate.email(form.email), password: validate.password(form.password), address: validate.address(form.address) };
-    setErrors(newErrors);
-    if (Object.values(newErrors).some((e) => e)) return;
+    setError(user ? '' : 'Choose a user');
+    if (!user) return;
 
     setLoading(true);
-    setServerError('');
     try {
-      const data = await api('/auth/register', { method: 'POST', body: JSON.stringify(form) });
-      login(data.user, data.token);
+      setOwners(await api(`/admin/stores/${store.id}/owners`, { method: 'POST', body: JSON.stringify({ userId: user.id }) }));
+      setUser(null);
     } catch (err) {
-      setServerError(err.message);
+      setError(err.message);
     }
     setLoading(false);
   };
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
-      <Card className="w-full max-w-md">
-        <h1 className="text-2xl font-bold text-center mb-6">Create Account</h1>
-        <form onSubmit={handleSubmit}>
-          <Input label="Name" value={form.name} onChange={(e) => handleChange('name', e.target.value)} error={errors.name} placeholder="Min 20 characters" />
-          <Input label="Email" type="email" value={form.email} onChange={(e) => handleChange('email', e.target.value)} error={errors.email} />
-          <Input label="Password" type="password" value={form.password} onChange={(e) => handleChange('password', e.target.value)} error={errors.password} placeholder="8-16 chars, 1 uppercase, 1 special" />
-          <Input label="Address" value={form.address} onChange={(e) => handleChange('address', e.target.value)} error={errors.address} placeholder="Max 400 characters" />
-          {serverError && <p className="text-red-500 text-sm mb-3">{serverError}</p>}
-          <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Creating...' : 'Sign Up'}</Button>
-        </form>
-        <p className="text-center mt-4 text-sm text-gray-600">
-          Already have an account? <button onClick={onSwitch} className="text-blue-600 font-medium">Login</button>
-        </p>
-      </Card>
-    </div>
-  );
-};
-
-// Dashboard Layout
-const DashboardLayout = ({ children, title }) => {
-  const { user, logout } = useAuth();
-  const [menuOpen, setMenuOpen] = useState(false);
+  const handleRemove = async (owner) => {
+    if (!window.confirm(`Remove ${owner.name} as an owner of ${store.name}?`)) return;
+    setError('');
+    try {
+      setOwners(await api(`/admin/stores/${store.id}/owners/${owner.id}`, { method: 'DELETE' }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
   return (
-    <div className="min-h-screen bg-gray-100">
-      <header className="bg-white shadow-sm">
-        <div className="max-w-7xl mx-auto px-4 py-4 flex justify-between items-center">
-          <h1 className="text-xl font-bold text-gray-800">{title}</h1>
-          <div className="flex items-center gap-4">
-            <span className="text-sm text-gray-600 hidden sm:block">{user?.name} ({user?.role})</span>
-            <Button variant="secondary" onClick={logout} className="flex items-center gap-2">
-              <LogOut size={16} /> Logout
-            </Button>
-          </div>
-        </div>
-      </header>
-      <main className="max-w-7xl mx-auto px-4 py-6">{children}</main>
-    </div>
+    <Modal isOpen={isOpen} onClose={onClose} title={`Owners of ${store?.name || ''}`}>
+      {owners.length === 0 ? (
+        <p className="text-gray-500 text-sm mb-4">This store has no owners.</p>
+      ) : (
+        <ul className="divide-y mb-4">
+          {owners.map((o) => (
+            <li key={o.id} className="py-2 flex justify-between items-center gap-2">
+              <div>
+                <p className="text-sm font-medium">{o.name}</p>
+                <p className="text-xs text-gray-500">{o.email}</p>
+              </div>
+              <button onClick={() => handleRemove(o)} title="Remove owner"><Trash2 size={16} className="text-gray-500 hover:text-red-600" /></button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleAdd}>
+        <UserPicker label="Add owner" selected={user} onSelect={setUser} error={error} />
+        <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Adding...' : 'Add Owner'}</Button>
+      </form>
+    </Modal>
   );
 };
 
-// Admin Dashboard
-const AdminDashboard = () => {
-  const [stats, setStats] = useState({ totalUsers: 0, totalStores: 0, totalRatings: 0 });
-  const [view, setView] = useState('dashboard');
-  const [users, setUsers] = useState([]);
-  const [stores, setStores] = useState([]);
-  const [filters, setFilters] = useState({ name: '', email: '', address: '', role: '' });
-  const [sortConfig, setSortConfig] = useState({ key: 'name', order: 'asc' });
-  const [modal, setModal] = useState({ type: null, data: null });
-  const [loading, setLoading] = useState(false);
+// Timeline of rating changes loaded from one of the rating history endpoints
+const RatingTimeline = ({ endpoint, showUser = false, showStore = false }) => {
+  const [history, setHistory] = useState({ items: [], total: 0 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    loadStats();
-  }, []);
+    setPage(1);
+  }, [endpoint]);
 
   useEffect(() => {
-    if (view === 'users') loadUsers();
-    if (view === 'stores') loadStores();
-  }, [view, filters, sortConfig]);
-
-  const loadStats = async () => {
-    try {
-      const data = await api('/admin/dashboard');
-      setStats(data);
-    } catch (err) {
-      console.error(err);
-    }
-  };
+    loadHistory();
+  }, [endpoint, page]);
 
-  const loadUsers = async () => {
+  const loadHistory = async () => {
     setLoading(true);
     try {
-      const params = new URLSearchParams({ ...filters, sortBy: sortConfig.key, order: sortConfig.order });
-      const data = await api(`/admin/users?${params}`);
-      setUsers(data);
+      const data = await api(`${endpoint}${endpoint.includes('?') ? '&' : '?'}${new URLSearchParams({ page, limit: PAGE_SIZE })}`);
+      setHistory(data);
     } catch (err) {
       console.error(err);
     }
     setLoading(false);
   };
 
-  const loadStores = async () => {
-    setLoading(true);
-    try {
-      const params = new URLSearchParams({ ...filters, sortBy: sortConfig.key, order: sortConfig.order });
-      const data = await api(`/admin/stores?${params}`);
-      setStores(data);
-    } catch (err) {
-      console.error(err);
-    }
-    setLoading(false);
+  const describe = (h) => {
+    if (h.action === 'created') return `rated ${h.rating}/5`;
+    if (h.action === 'deleted') return `withdrew their ${h.previous_rating}/5 rating`;
+    if (h.previous_rating !== h.rating) return `changed rating from ${h.previous_rating} to ${h.rating}`;
+    return 'updated the review';
   };
 
-  const handleSort = (key) => {
-    setSortConfig({ key, order: sortConfig.key === key && sortConfig.order === 'asc' ? 'desc' : 'asc' });
-  };
-
-  const userColumns = [
-    { key: 'name', label: 'Name', sortable: true },
-    { key: 'email', label: 'Email', sortable: true },
-    { key: 'address', label: 'Address', sortable: true },
-    { key: 'role', label: 'Role', sortable: true, render: (row) => <span className={`px-2 py-1 rounded text-xs ${row.role === 'admin' ? 'bg-purple-100 text-purple-800' : row.role === 'store_owner' ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'}`}>{row.role}</span> },
-    { key: 'rating', label: 'Rating', render: (row) => row.role === 'store_owner' ? <StarRating rating={row.rating || 0} /> : '-' },
-    { key: 'actions', label: '', render: (row) => <button onClick={() => setModal({ type: 'viewUser', data: row })}><Eye size={16} className="text-gray-500 hover:text-blue-600" /></button> },
-  ];
-
-  const storeColumns = [
-    { key: 'name', label: 'Name', sortable: true },
-    { key: 'email', label: 'Email', sortable: true },
-    { key: 'address', label: 'Address', sortable: true },
-    { key: 'rating', label: 'Rating', render: (row) => <StarRating rating={row.rating || 0} /> },
-  ];
+  if (loading && !history.items.length) return <p className="text-center text-gray-500 py-4">Loading...</p>;
+  if (!history.items.length) return <p className="text-center text-gray-500 py-4">No rating changes yet</p>;
 
   return (
-    <DashboardLayout title="Admin Dashboard">
-      {/* Navigation */}
-      <div className="flex gap-2 mb-6 flex-wrap">
-        {['dashboard', 'users', 'stores'].map((v) => (
-          <Button key={v} variant={view === v ? 'primary' : 'secondary'} onClick={() => setView(v)}>
-            {v === 'dashboard' && <BarChart3 size={16} className="inline mr-1" />}
-            {v === 'users' && <Users size={16} className="inline mr-1" />}
-            {v === 'stores' && <Store size={16} className="inline mr-1" />}
-            {v.charAt(0).toUpperCase() + v.slice(1)}
-          </Button>
+    <div>
+      <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+        {history.items.map((h) => (
+          <li key={h.id} className="ml-4">
+            <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-blue-500 border-2 border-white" />
+            <p className="text-xs text-gray-400">{new Date(h.changed_at).toLocaleString()}</p>
+            <p className="text-sm">
+              {showUser && <strong>{h.user_name} </strong>}
+              {describe(h)}
+              {showStore && <span> for <strong>{h.store_name}</strong></span>}
+            </p>
+            {h.review !== h.previous_review && h.review && <p className="text-sm text-gray-600 italic whitespace-pre-line">"{h.review}"</p>}
+          </li>
         ))}
-      </div>
-
-      {/* Dashboard View */}
-      {view === 'dashboard' && (
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-          <Card><div className="flex items-center gap-4"><Users size={40} className="text-blue-500" /><div><p className="text-3xl font-bold">{stats.totalUsers}</p><p className="text-gray-500">Total Users</p></div></div></Card>
-          <Card><div className="flex items-center gap-4"><Store size={40} className="text-green-500" /><div><p className="text-3xl font-bold">{stats.totalStores}</p><p className="text-gray-500">Total Stores</p></div></div></Card>
-          <Card><div className="flex items-center gap-4"><Star size={40} className="text-yellow-500" /><div><p className="text-3xl font-bold">{stats.totalRatings}</p><p className="text-gray-500">Total Ratings</p></div></div></Card>
-        </div>
-      )}
-
-      {/* Users View */}
-      {view === 'users' && (
-        <Card>
-          <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
-            <h2 className="text-lg font-semibold">Users</h2>
-            <Button onClick={() => setModal({ type: 'addUser' })}><Plus size={16} className="inline mr-1" />Add User</Button>
-          </div>
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
-            <Input placeholder="Filter by name" value={filters.name} onChange={(e) => setFilters({ ...filters, name: e.target.value })} />
-            <Input placeholder="Filter by email" value={filters.email} onChange={(e) => setFilters({ ...filters, email: e.target.value })} />
-            <Input placeholder="Filter by address" value={filters.address} onChange={(e) => setFilters({ ...filters, address: e.target.value })} />
-            <select className="px-3 py-2 border border-gray-300 rounded-lg" value={filters.role} onChange={(e) => setFilters({ ...filters, role: e.target.value })}>
-              <option value="">All Roles</option>
-              <option value="admin">Admin</option>
-              <option value="user">User</option>
-              <option value="store_owner">Store Owner</option>
-            </select>
-          </div>
-          <SortableTable columns={userColumns} data={users} onSort={handleSort} sortConfig={sortConfig} />
-        </Card>
-      )}
-
-      {/* Stores View */}
-      {view === 'stores' && (
-        <Card>
-          <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
-            <h2 className="text-lg font-semibold">Stores</h2>
-            <Button onClick={() => setModal({ type: 'addStore' })}><Plus size={16} className="inline mr-1" />Add Store</Button>
-          </div>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-4">
-            <Input placeholder="Filter by name" value={filters.name} onChange={(e) => setFilters({ ...filters, name: e.target.value })} />
-            <Input placeholder="Filter by email" value={filters.email} onChange={(e) => setFilters({ ...filters, email: e.target.value })} />
-            <Input placeholder="Filter by address" value={filters.address} onChange={(e) => setFilters({ ...filters, address: e.target.value })} />
-          </div>
-          <SortableTable columns={storeColumns} data={stores} onSort={handleSort} sortConfig={sortConfig} />
-        </Card>
-      )}
-
-      {/* Modals */}
-      <AddUserModal isOpen={modal.type === 'addUser'} onClose={() => setModal({ type: null })} onSuccess={() => { setModal({ type: null }); loadUsers(); loadStats(); }} />
-      <AddStoreModal isOpen={modal.type === 'addStore'} onClose={() => setModal({ type: null })} onSuccess={() => { setModal({ type: null }); loadStores(); loadStats(); }} />
-      <ViewUserModal isOpen={modal.type === 'viewUser'} user={modal.data} onClose={() => setModal({ type: null })} />
-    </DashboardLayout>
+      </ol>
+      <Pagination page={page} limit={PAGE_SIZE} total={history.total} onPageChange={setPage} />
+    </div>
   );
 };
 
-const AddUserModal = ({ isOpen, onClose, onSuccess }) => {
-  const [form, setForm] = useState({ name: '', email: '', password: '', address: '', role: 'user' });
-  const [errors, setErrors] = useState({});
-  const [serverError, setServerError] = useState('');
-  const [loading, setLoading] = useState(false);
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    const newErrors = { name: validate.name(form.name), email: validate.email(form.email), password: validate.password(form.password) };
-    setErrors(newErrors);
-    if (Object.values(newErrors).some((e) => e)) return;
+const ViewUserModal = ({ isOpen, user, onClose, onEdit, onDelete }) => {
+  const [storeId, setStoreId] = useState(null);
+  const stores = user?.stores || [];
 
-    setLoading(true);
-    try {
-      await api('/admin/users', { method: 'POST', body: JSON.stringify(form) });
-      setForm({ name: '', email: '', password: '', address: '', role: 'user' });
-      onSuccess();
-    } catch (err) {
-      setServerError(err.message);
-    }
-    setLoading(false);
-  };
+  useEffect(() => {
+    setStoreId(stores[0]?.id || null);
+  }, [user]);
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Add New User">
-      <form onSubmit={handleSubmit}>
-        <Input label="Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} error={errors.name} />
-        <Input label="Email" type="email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} error={errors.email} />
-        <Input label="Password" type="password" value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} error={errors.password} />
-        <Input label="Address" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} />
-        <div className="mb-3">
-          <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
-          <select className="w-full px-3 py-2 border border-gray-300 rounded-lg" value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}>
-            <option value="user">User</option>
-            <option value="admin">Admin</option>
-          </select>
+    <Modal isOpen={isOpen} onClose={onClose} title="User Details">
+      {user && (
+        <div className="space-y-3">
+          <p><strong>Name:</strong> {user.name}</p>
+          <p><strong>Email:</strong> {user.email}</p>
+          <p><strong>Address:</strong> {user.address || 'N/A'}</p>
+          <p><strong>Role:</strong> {user.role}</p>
+          {user.role === 'store_owner' && <p><strong>Rating:</strong> <StarRating rating={user.rating || 0} /></p>}
+          {user.role === 'store_owner' && <p><strong>Stores:</strong> {stores.map((s) => s.name).join(', ') || 'None'}</p>}
+          {(user.role === 'user' || storeId) && (
+            <div className="pt-3 border-t">
+              <h4 className="font-medium mb-2 flex items-center gap-1"><History size={16} />{user.role === 'store_owner' ? 'Store Rating History' : 'Rating History'}</h4>
+              {user.role === 'store_owner' && stores.length > 1 && (
+                <select className="w-full px-3 py-2 border border-gray-300 rounded-lg mb-3" value={storeId} onChange={(e) => setStoreId(Number(e.target.value))}>
+                  {stores.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+                </select>
+              )}
+              {user.role === 'store_owner'
+                ? <RatingTimeline endpoint={`/admin/stores/${storeId}/history`} showUser />
+                : <RatingTimeline endpoint={`/admin/users/${user.id}/history`} showStore />}
+            </div>
+          )}
+          <div className="flex gap-2 pt-3 border-t">
+            <Button variant="secondary" onClick={() => onEdit(user)}><Pencil size={16} className="inline mr-1" />Edit</Button>
+            <Button variant="danger" onClick={() => onDelete(user)}><Trash2 size={16} className="inline mr-1" />Delete</Button>
+          </div>
         </div>
-        {serverError && <p className="text-red-500 text-sm mb-3">{serverError}</p>}
-        <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Adding...' : 'Add User'}</Button>
-      </form>
+      )}
     </Modal>
   );
 };
 
-const AddStoreModal = ({ isOpen, onClose, onSuccess }) => {
-  const [form, setForm] = useState({ name: '', email: '', address: '', ownerName: '', ownerEmail: '', ownerPassword: '', ownerAddress: '' });
-  const [errors, setErrors] = useState({});
-  const [serverError, setServerError] = useState('');
+// Written review under a store card, editable once the store has been rated
+const ReviewEditor = ({ review, onSave }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(review || '');
+  const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    const newErrors = {
-      name: validate.name(form.name), email: validate.email(form.email),
-      ownerName: validate.name(form.ownerName), ownerEmail: validate.email(form.ownerEmail), ownerPassword: validate.password(form.ownerPassword)
-    };
-    setErrors(newErrors);
-    if (Object.values(newErrors).some((e) => e)) return;
+  useEffect(() => {
+    setDraft(review || '');
+  }, [review]);
+
+  const handleSave = async () => {
+    const reviewError = rules.review(draft);
+    if (reviewError) return setError(reviewError);
 
     setLoading(true);
+    setError('');
     try {
-      await api('/admin/stores', { method: 'POST', body: JSON.stringify(form) });
-      setForm({ name: '', email: '', address: '', ownerName: '', ownerEmail: '', ownerPassword: '', ownerAddress: '' });
-      onSuccess();
+      await onSave(draft);
+      setEditing(false);
     } catch (err) {
-      setServerError(err.message);
+      setError(err.message);
     }
     setLoading(false);
   };
 
+  if (!editing) {
+    return (
+      <div className="mt-3">
+        {review && <p className="text-sm text-gray-700 italic whitespace-pre-line">"{review}"</p>}
+        <button onClick={() => setEditing(true)} className="text-xs text-blue-600 font-medium mt-1">{review ? 'Edit review' : 'Write a review'}</button>
+      </div>
+    );
+  }
+
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Add New Store">
-      <form onSubmit={handleSubmit}>
-        <h4 className="font-medium mb-2">Store Details</h4>
-        <Input label="Store Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} error={errors.name} />
-        <Input label="Store Email" type="email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} error={errors.email} />
-        <Input label="Store Address" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} />
-        <h4 className="font-medium mb-2 mt-4">Owner Details</h4>
-        <Input label="Owner Name" value={form.ownerName} onChange={(e) => setForm({ ...form, ownerName: e.target.value })} error={errors.ownerName} />
-        <Input label="Owner Email" type="email" value={form.ownerEmail} onChange={(e) => setForm({ ...form, ownerEmail: e.target.value })} error={errors.ownerEmail} />
-        <Input label="Owner Password" type="password" value={form.ownerPassword} onChange={(e) => setForm({ ...form, ownerPassword: e.target.value })} error={errors.ownerPassword} />
-        <Input label="Owner Address" value={form.ownerAddress} onChange={(e) => setForm({ ...form, ownerAddress: e.target.value })} />
-        {serverError && <p className="text-red-500 text-sm mb-3">{serverError}</p>}
-        <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Adding...' : 'Add Store'}</Button>
-      </form>
-    </Modal>
+    <div className="mt-3">
+      <textarea rows={3} value={draft} onChange={(e) => setDraft(e.target.value)} placeholder="Tell others about your experience (optional)" className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none text-sm ${error ? 'border-red-500' : 'border-gray-300'}`} />
+      {error && <p className="text-red-500 text-xs mt-1">{error}</p>}
+      <div className="flex justify-between items-center mt-2">
+        <span className="text-xs text-gray-400">{draft.length}/1000</span>
+        <div className="flex gap-2">
+          <Button variant="secondary" onClick={() => { setDraft(review || ''); setError(''); setEditing(false); }}>Cancel</Button>
+          <Button onClick={handleSave} disabled={loading}>{loading ? 'Saving...' : 'Save Review'}</Button>
+        </div>
+      </div>
+    </div>
   );
 };
 
-const ViewUserModal = ({ isOpen, user, onClose }) => (
-  <Modal isOpen={isOpen} onClose={onClose} title="User Details">
-    {user && (
-      <div className="space-y-3">
-        <p><strong>Name:</strong> {user.name}</p>
-        <p><strong>Email:</strong> {user.email}</p>
-        <p><strong>Address:</strong> {user.address || 'N/A'}</p>
-        <p><strong>Role:</strong> {user.role}</p>
-        {user.role === 'store_owner' && <p><strong>Rating:</strong> <StarRating rating={user.rating || 0} /></p>}
-      </div>
-    )}
-  </Modal>
-);
-
 // User Dashboard
 const UserDashboard = () => {
+  const notify = useNotify();
+  const { user } = useAuth();
   const [stores, setStores] = useState([]);
-  const [filters, setFilters] = useState({ name: '', address: '' });
+  const [searchText, setSearchText] = useState('');
+  const [search, setSearch] = useState({ q: '', boost: false });
+  const [suggestions, setSuggestions] = useState([]);
+  const [filters, setFilters] = useState({ category: '', tags: [] });
+  const [facets, setFacets] = useState({ categories: [], tags: [] });
+  const [near, setNear] = useState(null);
+  const [locating, setLocating] = useState(false);
   const [sortConfig, setSortConfig] = useState({ key: 'name', order: 'asc' });
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
   const [passwordModal, setPasswordModal] = useState(false);
   const [loading, setLoading] = useState(false);
+  // Numbers of the latest list and suggestion requests; answers to older ones are dropped so a slow
+  // response cannot overwrite a newer one
+  const listRequest = useRef(0);
+  const suggestRequest = useRef(0);
 
   useEffect(() => {
     loadStores();
-  }, [filters, sortConfig]);
+  }, [search, filters, near, sortConfig, page]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => applySearch(searchText), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchText]);
 
   const loadStores = async () => {
+    const request = ++listRequest.current;
     setLoading(true);
     try {
-      const params = new URLSearchParams({ ...filters, sortBy: sortConfig.key, order: sortConfig.order });
+      const params = new URLSearchParams({ sortBy: sortConfig.key, order: sortConfig.order, page, limit: PAGE_SIZE });
+      if (search.q.trim()) params.set('q', search.q.trim());
+      if (search.boost) params.set('boost', 'rating');
+      if (filters.category) params.set('category', filters.category);
+      if (filters.tags.length) params.set('tags', filters.tags.join(','));
+      if (near) {
+        params.set('lat', near.latitude);
+        params.set('lng', near.longitude);
+        if (near.radius) params.set('radius', near.radius);
+      }
       const data = await api(`/stores?${params}`);
-      setStores(data);
+      if (request !== listRequest.current) return;
+      setStores(data.items);
+      setTotal(data.total);
+      setFacets(data.facets);
     } catch (err) {
-      console.error(err);
+      if (request === listRequest.current) notify(err);
     }
-    setLoading(false);
+    if (request === listRequest.current) setLoading(false);
   };
 
   const handleRate = async (storeId, rating) => {
@@ -1035,53 +1637,244 @@ const UserDashboard = () => {
       await api('/ratings', { method: 'POST', body: JSON.stringify({ storeId, rating }) });
       loadStores();
     } catch (err) {
-      alert(err.message);
+      notify(err);
     }
   };
 
-  const handleSort = (key) => {
-    setSortConfig({ key, order: sortConfig.key === key && sortConfig.order === 'asc' ? 'desc' : 'asc' });
+  const handleWithdraw = async (store) => {
+    if (!window.confirm(`Remove your rating for ${store.name}? Your review will be removed too.`)) return;
+    try {
+      await api(`/ratings/${store.id}`, { method: 'DELETE' });
+      loadStores();
+    } catch (err) {
+      notify(err);
+    }
+  };
+
+  const handleReview = async (store, review) => {
+    await api('/ratings', { method: 'POST', body: JSON.stringify({ storeId: store.id, rating: store.user_rating, review }) });
+    loadStores();
   };
 
+  const handleSort = (key, initialOrder = 'asc') => {
+    const order = sortConfig.key === key ? (sortConfig.order === 'asc' ? 'desc' : 'asc') : initialOrder;
+    setSortConfig({ key, order });
+    setPage(1);
+  };
+
+  const handleCategory = (category) => {
+    setFilters({ ...filters, category });
+    setPage(1);
+  };
+
+  // Picking several tags shows the stores that have all of them
+  const handleTag = (tag) => {
+    const tags = filters.tags.includes(tag) ? filters.tags.filter((t) => t !== tag) : [...filters.tags, tag];
+    setFilters({ ...filters, tags });
+    setPage(1);
+  };
+
+  // Asks the browser for the user's position and lists the nearest stores first; pressed again it turns off
+  const handleNearMe = () => {
+    if (near) {
+      setNear(null);
+      if (sortConfig.key === 'distance') setSortConfig({ key: 'name', order: 'asc' });
+      setPage(1);
+      return;
+    }
+    if (!navigator.geolocation) {
+      notify(new Error('Your browser cannot share its location'));
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition((position) => {
+      setLocating(false);
+      setNear({ latitude: position.coords.latitude, longitude: position.coords.longitude, radius: 10 });
+      setSortConfig({ key: 'distance', order: 'asc' });
+      setPage(1);
+    }, () => {
+      setLocating(false);
+      notify(new Error('Could not get your location. Allow location access and try again.'));
+    });
+  };
+
+  // Runs once typing pauses. Searching switches to relevance order; clearing the box goes back to alphabetical.
+  // A picked suggestion is already the current search, so it does not open the suggestions again.
+  const applySearch = async (q) => {
+    if (q === search.q) return;
+    setSearch((current) => ({ ...current, q }));
+    setPage(1);
+    if (q.trim() && sortConfig.key === 'name') setSortConfig({ key: 'relevance', order: 'desc' });
+    if (!q.trim() && sortConfig.key === 'relevance') setSortConfig({ key: 'name', order: 'asc' });
+
+    const request = ++suggestRequest.current;
+    if (q.trim().length < 2) {
+      setSuggestions([]);
+      return;
+    }
+    try {
+      const found = await api(`/stores?${new URLSearchParams({ suggest: 'true', q: q.trim() })}`);
+      if (request === suggestRequest.current) setSuggestions(found.filter((s) => s.name !== q));
+    } catch {
+      if (request === suggestRequest.current) setSuggestions([]);
+    }
+  };
+
+  const pickSuggestion = (store) => {
+    suggestRequest.current++;
+    setSearchText(store.name);
+    setSearch({ ...search, q: store.name });
+    setSuggestions([]);
+    setPage(1);
+  };
+
+  // Rating and date sorts start with the highest/newest first
+  const sortOptions = [
+    ...(search.q.trim() ? [{ key: 'relevance', label: 'Best match', order: 'desc' }] : []),
+    ...(near ? [{ key: 'distance', label: 'Distance', order: 'asc' }] : []),
+    { key: 'name', label: 'Name', order: 'asc' },
+    { key: 'overall_rating', label: 'Rating', order: 'desc' },
+    { key: 'rating_count', label: 'Number of ratings', order: 'desc' },
+    { key: 'created_at', label: 'Newest', order: 'desc' },
+    { key: 'user_rating', label: 'Your rating', order: 'desc' },
+  ];
+
   return (
     <DashboardLayout title="Store Ratings">
+      {!user.email_verified && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4 flex gap-3">
+          <Mail size={20} className="text-yellow-700 shrink-0" />
+          <div>
+            <p className="text-sm text-yellow-800 mb-1">Verify your email address to rate stores. We sent a link to <strong>{user.email}</strong>.</p>
+            <ResendVerification email={user.email} />
+          </div>
+        </div>
+      )}
       <div className="flex justify-end mb-4">
         <Button variant="secondary" onClick={() => setPasswordModal(true)}><Lock size={16} className="inline mr-1" />Change Password</Button>
       </div>
       <Card>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
-          <div className="relative">
-            <Search size={16} className="absolute left-3 top-3 text-gray-400" />
-            <input className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg" placeholder="Search by name" value={filters.name} onChange={(e) => setFilters({ ...filters, name: e.target.value })} />
-          </div>
-          <div className="relative">
+        <div className="flex gap-2 mb-4 flex-wrap items-center">
+          <div className="relative flex-1 min-w-[16rem]">
             <Search size={16} className="absolute left-3 top-3 text-gray-400" />
-            <input className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg" placeholder="Search by address" value={filters.address} onChange={(e) => setFilters({ ...filters, address: e.target.value })} />
+            <input className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg" placeholder="Search stores by name or address" value={searchText}
+              onChange={(e) => setSearchText(e.target.value)} onBlur={() => setTimeout(() => setSuggestions([]), 150)} />
+            {suggestions.length > 0 && (
+              <ul className="absolute z-10 left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-md divide-y">
+                {suggestions.map((s) => (
+                  <li key={s.id}>
+                    <button onClick={() => pickSuggestion(s)} className="w-full text-left px-3 py-2 hover:bg-gray-50">
+                      <p className="text-sm">{s.name}</p>
+                      {s.address && <p className="text-xs text-gray-500">{s.address}</p>}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
+          {search.q.trim() && (
+            <label className="flex items-center gap-1 text-sm text-gray-600">
+              <input type="checkbox" checked={search.boost} onChange={(e) => { setSearch({ ...search, boost: e.target.checked }); setPage(1); }} />
+              Prefer highly rated stores
+            </label>
+          )}
+          <Button variant={near ? 'primary' : 'secondary'} onClick={handleNearMe} disabled={locating}>
+            <MapPin size={16} className="inline mr-1" />{locating ? 'Locating...' : 'Near me'}
+          </Button>
+          {near && (
+            <select className="px-3 py-2 border border-gray-300 rounded-lg" value={near.radius}
+              onChange={(e) => { setNear({ ...near, radius: e.target.value ? Number(e.target.value) : '' }); setPage(1); }}>
+              {NEAR_ME_RADII.map((r) => <option key={r} value={r}>{r ? `Within ${r} km` : 'Any distance'}</option>)}
+            </select>
+          )}
         </div>
-        <div className="space-y-4">
-          {stores.map((store) => (
-            <div key={store.id} className="border rounded-lg p-4 hover:shadow-md transition">
-              <div className="flex justify-between items-start flex-wrap gap-2">
-                <div>
-                  <h3 className="font-semibold text-lg">{store.name}</h3>
-                  <p className="text-gray-500 text-sm">{store.address}</p>
-                </div>
-                <div className="text-right">
-                  <p className="text-sm text-gray-600 mb-1">Overall: {store.overall_rating || 0}/5</p>
-                  <StarRating rating={store.overall_rating || 0} />
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          <aside className="text-sm">
+            <h4 className="font-medium mb-2">Categories</h4>
+            <ul className="space-y-1 mb-4">
+              <li>
+                <button onClick={() => handleCategory('')} className={!filters.category ? 'font-medium text-blue-700' : 'text-gray-700'}>All categories</button>
+              </li>
+              {facets.categories.map((c) => (
+                <li key={c.id} className="flex justify-between">
+                  <button onClick={() => handleCategory(String(c.id))} disabled={!c.count && filters.category !== String(c.id)}
+                    className={filters.category === String(c.id) ? 'font-medium text-blue-700' : c.count ? 'text-gray-700' : 'text-gray-400'}>{c.name}</button>
+                  <span className="text-gray-400">{c.count}</span>
+                </li>
+              ))}
+            </ul>
+            {(facets.tags.length > 0 || filters.tags.length > 0) && (
+              <>
+                <h4 className="font-medium mb-2 flex items-center gap-1"><Tag size={14} />Tags</h4>
+                <div className="flex gap-1 flex-wrap">
+                  {[...new Set([...filters.tags, ...facets.tags.map((t) => t.tag)])].map((tag) => (
+                    <TagChip key={tag} active={filters.tags.includes(tag)} onClick={() => handleTag(tag)}>
+                      {tag} {facets.tags.find((t) => t.tag === tag)?.count ?? 0}
+                    </TagChip>
+                  ))}
                 </div>
-              </div>
-              <div className="mt-3 pt-3 border-t flex justify-between items-center flex-wrap gap-2">
-                <div>
-                  <p className="text-sm text-gray-600 mb-1">Your Rating:</p>
-                  <StarRating rating={store.user_rating || 0} interactive onRate={(r) => handleRate(store.id, r)} />
+              </>
+            )}
+          </aside>
+          <div className="md:col-span-3">
+            <div className="flex items-center gap-2 mb-4 text-sm text-gray-600 flex-wrap">
+              <span>Sort by:</span>
+              {sortOptions.map((opt) => (
+                <button key={opt.key} onClick={() => handleSort(opt.key, opt.order)} className={`flex items-center gap-1 px-2 py-1 rounded ${sortConfig.key === opt.key ? 'bg-blue-100 text-blue-700' : 'hover:bg-gray-100'}`}>
+                  {opt.label}
+                  {sortConfig.key === opt.key && <ArrowUpDown size={14} />}
+                </button>
+              ))}
+            </div>
+            <div className="space-y-4">
+              {stores.map((store) => (
+                <div key={store.id} className="border rounded-lg p-4 hover:shadow-md transition">
+                  <div className="flex justify-between items-start flex-wrap gap-2">
+                    <div>
+                      <h3 className="font-semibold text-lg">{store.name}</h3>
+                      <p className="text-gray-500 text-sm">{store.address}</p>
+                      {store.distance_km !== null && (
+                        <p className="text-sm text-blue-700 flex items-center gap-1"><MapPin size={14} />{Number(store.distance_km).toFixed(1)} km away</p>
+                      )}
+                      {(store.category || store.tags.length > 0) && (
+                        <div className="flex gap-1 flex-wrap mt-1">
+                          {store.category && <span className="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">{store.category}</span>}
+                          {store.tags.map((t) => <TagChip key={t}>{t}</TagChip>)}
+                        </div>
+                      )}
+                    </div>
+                    <div className="text-right">
+                      <p className="text-sm text-gray-600 mb-1">Overall: {store.overall_rating || 0}/5 ({store.rating_count} ratings)</p>
+                      <StarRating rating={store.overall_rating || 0} />
+                    </div>
+                  </div>
+                  <div className="mt-3 pt-3 border-t flex justify-between items-center flex-wrap gap-2">
+                    <div>
+                      <p className="text-sm text-gray-600 mb-1">Your Rating:</p>
+                      <StarRating rating={store.user_rating || 0} interactive onRate={(r) => handleRate(store.id, r)} />
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <p className="text-xs text-gray-400">{store.user_rating ? 'Click to modify' : 'Click to rate'}</p>
+                      {store.user_rating && (
+                        <button onClick={() => handleWithdraw(store)} className="flex items-center gap-1 text-xs text-red-600 font-medium">
+                          <Trash2 size={14} />Remove rating
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  {store.user_rating && <ReviewEditor review={store.user_review} onSave={(review) => handleReview(store, review)} />}
+                  {store.owner_reply && (
+                    <div className="mt-3 ml-4 pl-3 border-l-2 border-blue-200">
+                      <p className="text-xs font-medium text-gray-500 mb-1">Reply from the store owner</p>
+                      <p className="text-sm text-gray-700 whitespace-pre-line">{store.owner_reply}</p>
+                    </div>
+                  )}
                 </div>
-                <p className="text-xs text-gray-400">{store.user_rating ? 'Click to modify' : 'Click to rate'}</p>
-              </div>
+              ))}
+              {stores.length === 0 && <p className="text-center text-gray-500 py-8">No stores found</p>}
             </div>
-          ))}
-          {stores.length === 0 && <p className="text-center text-gray-500 py-8">No stores found</p>}
+            {total > 0 && <Pagination page={page} limit={PAGE_SIZE} total={total} onPageChange={setPage} />}
+          </div>
         </div>
       </Card>
       <ChangePasswordModal isOpen={passwordModal} onClose={() => setPasswordModal(false)} />
@@ -1089,31 +1882,182 @@ const UserDashboard = () => {
   );
 };
 
+// Vertical bar chart; bars scale against max and null values render as gaps
+const BarChart = ({ data, max, color, format = (v) => v }) => (
+  <div className="flex items-end gap-1 h-40 border-b border-gray-200">
+    {data.map((d) => (
+      <div key={d.label} className="flex-1 h-full flex flex-col justify-end items-center group relative" title={`${d.label}: ${d.value === null ? 'no ratings' : format(d.value)}`}>
+        <div className={`w-full rounded-t ${color}`} style={{ height: `${d.value ? (d.value / (max || 1)) * 100 : 0}%` }} />
+      </div>
+    ))}
+  </div>
+);
+
+// Rating trends for the owner's stores (or the one picked in the switcher) over a selectable range
+const RatingTrends = ({ storeId }) => {
+  const toInputDate = (d) => d.toISOString().slice(0, 10);
+  const daysAgo = (n) => toInputDate(new Date(Date.now() - n * 24 * 60 * 60 * 1000));
+  const presets = [
+    { label: '7 days', days: 6, interval: 'day' },
+    { label: '30 days', days: 29, interval: 'day' },
+    { label: '90 days', days: 89, interval: 'week' },
+    { label: '12 months', days: 364, interval: 'month' },
+  ];
+  const [range, setRange] = useState({ from: daysAgo(29), to: daysAgo(0), interval: 'day' });
+  const [series, setSeries] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [range, storeId]);
+
+  const loadAnalytics = async () => {
+    setError('');
+    try {
+      const data = await api(`/owner/analytics?${new URLSearchParams({ ...range, storeId })}`);
+      setSeries(data.series);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatPeriod = (p) => {
+    const d = new Date(p);
+    return range.interval === 'month' ? d.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) : d.toLocaleDateString();
+  };
+
+  const averages = series.filter((s) => s.average !== null);
+  const trend = averages.length > 1 ? averages[averages.length - 1].average - averages[0].average : 0;
+  const maxVolume = Math.max(...series.map((s) => s.volume), 1);
+
+  return (
+    <Card className="mb-6">
+      <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <TrendingUp size={20} />Rating Trends
+          {averages.length > 1 && (
+            <span className={`text-sm font-normal ${trend >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+              {trend >= 0 ? '+' : ''}{trend.toFixed(2)} over this range
+            </span>
+          )}
+        </h3>
+        <div className="flex gap-2 flex-wrap">
+          {presets.map((p) => (
+            <Button key={p.label} variant={range.from === daysAgo(p.days) && range.interval === p.interval ? 'primary' : 'secondary'} onClick={() => setRange({ from: daysAgo(p.days), to: daysAgo(0), interval: p.interval })}>{p.label}</Button>
+          ))}
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-4">
+        <Input label="From" type="date" value={range.from} max={range.to} onChange={(e) => e.target.value && setRange({ ...range, from: e.target.value })} />
+        <Input label="To" type="date" value={range.to} min={range.from} onChange={(e) => e.target.value && setRange({ ...range, to: e.target.value })} />
+        <div className="mb-3">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Group by</label>
+          <select className="w-full px-3 py-2 border border-gray-300 rounded-lg" value={range.interval} onChange={(e) => setRange({ ...range, interval: e.target.value })}>
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+            <option value="month">Month</option>
+          </select>
+        </div>
+      </div>
+      {error ? (
+        <p className="text-red-500 text-sm">{error}</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <p className="text-sm font-medium text-gray-600 mb-2">Average rating</p>
+            <BarChart data={series.map((s) => ({ label: formatPeriod(s.period), value: s.average }))} max={5} color="bg-yellow-400" format={(v) => `${v}/5`} />
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-600 mb-2">Ratings submitted (max {maxVolume})</p>
+            <BarChart data={series.map((s) => ({ label: formatPeriod(s.period), value: s.volume }))} max={maxVolume} color="bg-blue-500" />
+          </div>
+          {series.length > 0 && (
+            <p className="text-xs text-gray-400 md:col-span-2">{formatPeriod(series[0].period)} - {formatPeriod(series[series.length - 1].period)}</p>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
 // Store Owner Dashboard
 const StoreOwnerDashboard = () => {
+  const notify = useNotify();
   const [data, setData] = useState({ averageRating: 0, ratings: [] });
+  const [stores, setStores] = useState([]);
+  // 'all' aggregates every store the owner runs; otherwise the id of the store picked in the switcher
+  const [storeId, setStoreId] = useState('all');
   const [passwordModal, setPasswordModal] = useState(false);
+  const [replyTarget, setReplyTarget] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    loadDashboard();
+    loadStores();
   }, []);
 
+  useEffect(() => {
+    loadDashboard();
+  }, [storeId]);
+
+  const loadStores = async () => {
+    try {
+      setStores(await api('/owner/stores'));
+    } catch (err) {
+      notify(err);
+    }
+  };
+
   const loadDashboard = async () => {
     try {
-      const result = await api('/owner/dashboard');
+      const result = await api(`/owner/dashboard?${new URLSearchParams({ storeId })}`);
       setData(result);
     } catch (err) {
-      console.error(err);
+      notify(err);
     }
     setLoading(false);
   };
 
+  const allStores = storeId === 'all' && stores.length > 1;
+
+  const handleDeleteReply = async (rating) => {
+    if (!window.confirm('Delete your reply to this rating?')) return;
+    try {
+      await api(`/owner/ratings/${rating.id}/reply`, { method: 'DELETE' });
+      loadDashboard();
+    } catch (err) {
+      notify(err);
+    }
+  };
+
   return (
     <DashboardLayout title="Store Owner Dashboard">
-      <div className="flex justify-end mb-4">
+      <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+        {stores.length > 1 ? (
+          <select className="px-3 py-2 border border-gray-300 rounded-lg" value={storeId} onChange={(e) => setStoreId(e.target.value)}>
+            <option value="all">All stores ({stores.length})</option>
+            {stores.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+        ) : (
+          <h2 className="text-lg font-semibold">{stores[0]?.name}</h2>
+        )}
         <Button variant="secondary" onClick={() => setPasswordModal(true)}><Lock size={16} className="inline mr-1" />Change Password</Button>
       </div>
+      {allStores && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          {stores.map((s) => (
+            <Card key={s.id} className="cursor-pointer hover:ring-2 hover:ring-blue-200">
+              <button className="w-full text-left" onClick={() => setStoreId(String(s.id))}>
+                <p className="font-semibold">{s.name}</p>
+                <p className="text-xs text-gray-500 mb-2">{s.address}</p>
+                <div className="flex items-center gap-2">
+                  <StarRating rating={Math.round(s.average_rating)} />
+                  <span className="text-sm text-gray-500">{s.average_rating} ({s.rating_count})</span>
+                </div>
+              </button>
+            </Card>
+          ))}
+        </div>
+      )}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
         <Card>
           <h3 className="text-lg font-semibold mb-4">Average Rating</h3>
@@ -1143,8 +2087,12 @@ const StoreOwnerDashboard = () => {
           </div>
         </Card>
       </div>
+      <RatingTrends storeId={storeId} />
       <Card>
-        <h3 className="text-lg font-semibold mb-4">User Ratings</h3>
+        <div className="flex justify-between items-center mb-4 flex-wrap gap-2">
+          <h3 className="text-lg font-semibold">User Ratings</h3>
+          {data.ratings.length > 0 && <ExportButtons endpoint="/owner/ratings/export" params={{ storeId }} filename="ratings" />}
+        </div>
         {data.ratings.length === 0 ? (
           <p className="text-center text-gray-500 py-8">No ratings yet</p>
         ) : (
@@ -1152,19 +2100,40 @@ const StoreOwnerDashboard = () => {
             <table className="w-full">
               <thead className="bg-gray-50">
                 <tr>
+                  {allStores && <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Store</th>}
                   <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">User</th>
                   <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Email</th>
                   <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Rating</th>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Review</th>
                   <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">Date</th>
+                  <th className="px-4 py-3"></th>
                 </tr>
               </thead>
               <tbody className="divide-y">
-                {data.ratings.map((r, i) => (
-                  <tr key={i} className="hover:bg-gray-50">
+                {data.ratings.map((r) => (
+                  <tr key={r.id} className="hover:bg-gray-50">
+                    {allStores && <td className="px-4 py-3 text-sm">{r.store_name}</td>}
                     <td className="px-4 py-3 text-sm">{r.name}</td>
                     <td className="px-4 py-3 text-sm">{r.email}</td>
                     <td className="px-4 py-3"><StarRating rating={r.rating} /></td>
+                    <td className="px-4 py-3 text-sm text-gray-700 max-w-md whitespace-pre-line">
+                      {r.review || <span className="text-gray-400">-</span>}
+                      {r.reply && (
+                        <div className="mt-2 pl-3 border-l-2 border-blue-200">
+                          <p className="text-xs font-medium text-gray-500">Your reply</p>
+                          <p>{r.reply}</p>
+                        </div>
+                      )}
+                    </td>
                     <td className="px-4 py-3 text-sm text-gray-500">{new Date(r.updated_at).toLocaleDateString()}</td>
+                    <td className="px-4 py-3">
+                      <div className="flex gap-2">
+                        <button onClick={() => setReplyTarget(r)} title={r.reply ? 'Edit reply' : 'Reply'}>
+                          {r.reply ? <Pencil size={16} className="text-gray-500 hover:text-blue-600" /> : <MessageSquare size={16} className="text-gray-500 hover:text-blue-600" />}
+                        </button>
+                        {r.reply && <button onClick={() => handleDeleteReply(r)} title="Delete reply"><Trash2 size={16} className="text-gray-500 hover:text-red-600" /></button>}
+                      </div>
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -1172,11 +2141,64 @@ const StoreOwnerDashboard = () => {
           </div>
         )}
       </Card>
+      <Card className="mt-6">
+        <h3 className="text-lg font-semibold mb-4 flex items-center gap-2"><History size={20} />Rating History</h3>
+        <RatingTimeline endpoint={`/owner/history?${new URLSearchParams({ storeId })}`} showUser showStore={allStores} />
+      </Card>
+      <ReplyModal isOpen={!!replyTarget} rating={replyTarget} onClose={() => setReplyTarget(null)} onSuccess={() => { setReplyTarget(null); loadDashboard(); }} />
       <ChangePasswordModal isOpen={passwordModal} onClose={() => setPasswordModal(false)} />
     </DashboardLayout>
   );
 };
 
+// Owner Reply Modal
+const ReplyModal = ({ isOpen, rating, onClose, onSuccess }) => {
+  const [reply, setReply] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    setReply(rating?.reply || '');
+    setError('');
+  }, [rating]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const replyError = rules.reply(reply);
+    if (replyError) return setError(replyError);
+
+    setLoading(true);
+    setError('');
+    try {
+      await api(`/owner/ratings/${rating.id}/reply`, { method: 'POST', body: JSON.stringify({ reply }) });
+      onSuccess();
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={rating?.reply ? 'Edit Reply' : 'Reply to Rating'}>
+      {rating && (
+        <form onSubmit={handleSubmit}>
+          <div className="mb-3 p-3 bg-gray-50 rounded-lg">
+            <div className="flex justify-between items-center mb-1">
+              <span className="text-sm font-medium">{rating.name}</span>
+              <StarRating rating={rating.rating} />
+            </div>
+            {rating.review && <p className="text-sm text-gray-700 whitespace-pre-line">{rating.review}</p>}
+          </div>
+          <textarea rows={4} value={reply} onChange={(e) => setReply(e.target.value)} placeholder="Your public reply" className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 outline-none text-sm ${error ? 'border-red-500' : 'border-gray-300'}`} />
+          <p className="text-xs text-gray-400 mb-3">{reply.length}/1000 - visible to the customer who left this rating</p>
+          {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+          <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Saving...' : 'Save Reply'}</Button>
+        </form>
+      )}
+    </Modal>
+  );
+};
+
 // Change Password Modal
 const ChangePasswordModal = ({ isOpen, onClose }) => {
   const [form, setForm] = useState({ currentPassword: '', newPassword: '' });
@@ -1186,7 +2208,7 @@ const ChangePasswordModal = ({ isOpen, onClose }) => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    const pwError = validate.password(form.newPassword);
+    const pwError = rules.password(form.newPassword);
     if (pwError) return setError(pwError);
 
     setLoading(true);
@@ -1221,50 +2243,217 @@ const ChangePasswordModal = ({ isOpen, onClose }) => {
   );
 };
 
+// Shown instead of the dashboard until an account flagged with a default password picks a new one
+const ForcePasswordChangePage = () => {
+  const { updateUser, logout } = useAuth();
+  const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirm: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const pwError = rules.password(form.newPassword) || (form.confirm !== form.newPassword ? 'Passwords do not match' : '');
+    if (pwError) return setError(pwError);
+
+    setLoading(true);
+    setError('');
+    try {
+      await api('/auth/password', { method: 'PUT', body: JSON.stringify({ currentPassword: form.currentPassword, newPassword: form.newPassword }) });
+      updateUser({ must_change_password: false });
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <h1 className="text-2xl font-bold text-center mb-2">Change Your Password</h1>
+        <p className="text-sm text-gray-600 text-center mb-6">This account is using a default password. Choose a new one to continue.</p>
+        <form onSubmit={handleSubmit}>
+          <Input label="Current Password" type="password" value={form.currentPassword} onChange={(e) => setForm({ ...form, currentPassword: e.target.value })} required />
+          <Input label="New Password" type="password" value={form.newPassword} onChange={(e) => setForm({ ...form, newPassword: e.target.value })} placeholder="8-16 chars, 1 uppercase, 1 special" required />
+          <Input label="Confirm Password" type="password" value={form.confirm} onChange={(e) => setForm({ ...form, confirm: e.target.value })} required />
+          {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+          <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Updating...' : 'Update Password'}</Button>
+        </form>
+        <p className="text-center mt-4 text-sm text-gray-600">
+          <button onClick={logout} className="text-blue-600 font-medium">Log out</button>
+        </p>
+      </Card>
+    </div>
+  );
+};
+
+// First run: creates the initial admin with the setup token printed by the server
+const SetupPage = ({ onDone }) => {
+  const { login } = useAuth();
+  const [form, setForm] = useState({ token: '', name: '', email: '', password: '', address: '' });
+  const [errors, setErrors] = useState({});
+  const [serverError, setServerError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (field, value) => {
+    setForm({ ...form, [field]: value });
+    const rule = schemas.register[field];
+    setErrors({ ...errors, [field]: rule ? rules[rule](value) : '' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const newErrors = validate(schemas.register, form);
+    setErrors(newErrors);
+    if (hasErrors(newErrors)) return;
+
+    setLoading(true);
+    setServerError('');
+    try {
+      const data = await api('/setup', { method: 'POST', body: JSON.stringify(form) });
+      login(data.user, data.token, data.refreshToken);
+      onDone();
+    } catch (err) {
+      showServerErrors(err, setErrors, setServerError);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+      <Card className="w-full max-w-md">
+        <h1 className="text-2xl font-bold text-center mb-2">Welcome</h1>
+        <p className="text-sm text-gray-600 text-center mb-6">Create the first administrator account. The setup token is printed in the server log on startup.</p>
+        <form onSubmit={handleSubmit}>
+          <Input label="Setup Token" value={form.token} onChange={(e) => handleChange('token', e.target.value)} required />
+          <Input label="Name" value={form.name} onChange={(e) => handleChange('name', e.target.value)} error={errors.name} placeholder="Min 20 characters" />
+          <Input label="Email" type="email" value={form.email} onChange={(e) => handleChange('email', e.target.value)} error={errors.email} />
+          <Input label="Password" type="password" value={form.password} onChange={(e) => handleChange('password', e.target.value)} error={errors.password} placeholder="8-16 chars, 1 uppercase, 1 special" />
+          <Input label="Address" value={form.address} onChange={(e) => handleChange('address', e.target.value)} error={errors.address} placeholder="Max 400 characters" />
+          {serverError && <p className="text-red-500 text-sm mb-3">{serverError}</p>}
+          <Button type="submit" className="w-full" disabled={loading}>{loading ? 'Creating...' : 'Create Admin'}</Button>
+        </form>
+      </Card>
+    </div>
+  );
+};
+
 // Main App
 export default function App() {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
   const [authView, setAuthView] = useState('login');
+  const [resetToken, setResetToken] = useState(null);
+  const [verifyToken, setVerifyToken] = useState(null);
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [notice, setNotice] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    // Password reset and verification emails link back here with ?resetToken=... or ?verifyToken=...
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('resetToken')) {
+      setResetToken(params.get('resetToken'));
+      setAuthView('reset');
+    }
+    setVerifyToken(params.get('verifyToken'));
     const savedToken = localStorage.getItem('token');
     const savedUser = localStorage.getItem('user');
     if (savedToken && savedUser) {
       setToken(savedToken);
       setUser(JSON.parse(savedUser));
     }
-    setLoading(false);
+    api('/setup/status')
+      .then((data) => setSetupRequired(data.setupRequired))
+      .catch((err) => console.error(err))
+      .finally(() => setLoading(false));
   }, []);
 
-  const login = (userData, authToken) => {
+  const login = (userData, authToken, refreshToken) => {
     setUser(userData);
     setToken(authToken);
     localStorage.setItem('token', authToken);
+    localStorage.setItem('refreshToken', refreshToken);
     localStorage.setItem('user', JSON.stringify(userData));
   };
 
-  const logout = () => {
+  const clearSession = () => {
     setUser(null);
     setToken(null);
+    setNotice(null);
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
   };
+  onSessionExpired = clearSession;
+
+  const updateUser = (changes) => {
+    setUser((current) => {
+      const updated = { ...current, ...changes };
+      localStorage.setItem('user', JSON.stringify(updated));
+      return updated;
+    });
+  };
+  onPasswordChangeRequired = () => updateUser({ must_change_password: true });
+
+  // Revoke the session on the server too; local state is cleared even if that request fails
+  const logout = async () => {
+    try {
+      await api('/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error(err);
+    }
+    clearSession();
+  };
+
+  const logoutAll = async () => {
+    try {
+      await api('/auth/logout-all', { method: 'POST' });
+    } catch (err) {
+      console.error(err);
+    }
+    clearSession();
+  };
+
+  const finishReset = () => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setResetToken(null);
+    setAuthView('login');
+  };
+
+  const finishVerification = (verified) => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setVerifyToken(null);
+    if (verified && user) updateUser({ email_verified: true });
+  };
+
+  const authPages = {
+    login: <LoginPage onSwitch={() => setAuthView('register')} onForgot={() => setAuthView('forgot')} />,
+    register: <RegisterPage onSwitch={() => setAuthView('login')} />,
+    forgot: <ForgotPasswordPage onBack={() => setAuthView('login')} />,
+    reset: <ResetPasswordPage token={resetToken} onDone={finishReset} />
+  };
 
   if (loading) return <div className="min-h-screen flex items-center justify-center">Loading...</div>;
 
   return (
-    <AuthContext.Provider value={{ user, token, login, logout }}>
-      {!user ? (
-        authView === 'login' ? <LoginPage onSwitch={() => setAuthView('register')} /> : <RegisterPage onSwitch={() => setAuthView('login')} />
-      ) : user.role === 'admin' ? (
-        <AdminDashboard />
-      ) : user.role === 'store_owner' ? (
-        <StoreOwnerDashboard />
-      ) : (
-        <UserDashboard />
-      )}
+    <AuthContext.Provider value={{ user, token, login, logout, logoutAll, updateUser }}>
+      <NoticeContext.Provider value={{ notice, notify: setNotice }}>
+        {verifyToken ? (
+          <VerifyEmailPage token={verifyToken} onDone={finishVerification} />
+        ) : !user && setupRequired ? (
+          <SetupPage onDone={() => setSetupRequired(false)} />
+        ) : !user ? (
+          authPages[authView]
+        ) : user.must_change_password ? (
+          <ForcePasswordChangePage />
+        ) : user.role === 'admin' ? (
+          <AdminDashboard />
+        ) : user.role === 'store_owner' ? (
+          <StoreOwnerDashboard />
+        ) : (
+          <UserDashboard />
+        )}
+      </NoticeContext.Provider>
     </AuthContext.Provider>
   );
 }
\ No newline at end of file
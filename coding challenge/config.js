@@ -0,0 +1,74 @@
+// ==================== CONFIG.JS ====================
+// Reads every setting from the environment in one place so createApp can also be given a config directly (e.g. in tests).
+const crypto = require('crypto');
+
+// Production refuses to start without a real secret; development falls back to a random one per process
+const PLACEHOLDER_SECRETS = ['your-secret-key', 'your-super-secret-jwt-key-change-this'];
+
+const loadJwtSecret = (env) => {
+  const configured = PLACEHOLDER_SECRETS.includes(env.JWT_SECRET) ? null : env.JWT_SECRET;
+  if (!configured || configured.length < 32) {
+    if (env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set to a random value of at least 32 characters in production');
+    }
+    console.warn(configured
+      ? 'Warning: JWT_SECRET is shorter than 32 characters'
+      : 'Warning: JWT_SECRET is not set; using a random secret, so access tokens will not survive a restart');
+  }
+  return configured || crypto.randomBytes(48).toString('hex');
+};
+
+// The stub geocoder makes coordinates up, so production must choose a provider on purpose
+const loadGeocoderProvider = (env) => {
+  if (env.GEOCODER) return env.GEOCODER;
+  if (env.NODE_ENV === 'production') {
+    throw new Error('GEOCODER must be set in production (nominatim, or stub to store made-up coordinates on purpose)');
+  }
+  return 'stub';
+};
+
+// "lat,lng" -> { latitude, longitude }
+const parsePoint = (value) => {
+  const [latitude, longitude] = value.split(',').map(Number);
+  return { latitude, longitude };
+};
+
+const loadConfig = (env = process.env) => ({
+  port: env.PORT || 5000,
+  jwtSecret: loadJwtSecret(env),
+  // Frontend origin used to build links in emails
+  appUrl: env.APP_URL || 'http://localhost:3000',
+  // Behind a reverse proxy set TRUST_PROXY (e.g. 1 or loopback) so req.ip is the client address
+  trustProxy: env.TRUST_PROXY && (/^\d+$/.test(env.TRUST_PROXY) ? parseInt(env.TRUST_PROXY) : env.TRUST_PROXY),
+  migrateOnStart: env.MIGRATE_ON_START !== 'false',
+  setupToken: env.SETUP_TOKEN || null,
+  db: {
+    host: env.DB_HOST || 'localhost',
+    port: env.DB_PORT || 5432,
+    user: env.DB_USER || 'postgres',
+    password: env.DB_PASSWORD || 'password',
+    database: env.DB_NAME || 'store_rating_db'
+  },
+  mail: {
+    transport: env.MAIL_TRANSPORT || 'file',
+    from: env.MAIL_FROM || 'Store Rating Platform <no-reply@localhost>',
+    file: env.MAIL_FILE || 'mail-outbox.log',
+    smtp: {
+      host: env.SMTP_HOST || 'localhost',
+      port: parseInt(env.SMTP_PORT) || 1025,
+      secure: env.SMTP_SECURE === 'true',
+      ...(env.SMTP_USER && { auth: { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } })
+    }
+  },
+  geocoder: {
+    provider: loadGeocoderProvider(env),
+    stubCenter: parsePoint(env.GEOCODER_STUB_CENTER || '51.5074,-0.1278'),
+    timeoutMs: parseInt(env.GEOCODER_TIMEOUT_MS) || 5000,
+    nominatim: {
+      url: env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+      email: env.NOMINATIM_EMAIL || null
+    }
+  }
+});
+
+module.exports = { loadConfig };
@@ -0,0 +1,22 @@
+// ==================== CATEGORIES ====================
+// Admin-managed store categories; a store belongs to at most one.
+
+// Every category with the number of stores in it, for the admin screens and store forms
+const list = async (db) => (await db.query(
+  `SELECT c.id, c.name, c.created_at, COUNT(s.id) as store_count
+   FROM categories c LEFT JOIN stores s ON s.category_id = c.id
+   GROUP BY c.id ORDER BY c.name, c.id`
+)).rows.map((c) => ({ ...c, store_count: parseInt(c.store_count) }));
+
+const create = async (db, name) => (await db.query(
+  'INSERT INTO categories (name) VALUES ($1) RETURNING *', [name]
+)).rows[0];
+
+const rename = async (db, id, name) => (await db.query(
+  'UPDATE categories SET name = $1 WHERE id = $2 RETURNING *', [name, id]
+)).rows[0];
+
+// Fails with a foreign key violation while stores still use the category
+const remove = async (db, id) => (await db.query('DELETE FROM categories WHERE id = $1 RETURNING id', [id])).rows[0];
+
+module.exports = { list, create, rename, remove };
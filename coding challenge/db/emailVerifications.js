@@ -0,0 +1,25 @@
+// ==================== EMAIL VERIFICATIONS ====================
+
+// Invalidates any outstanding link for the user and stores the new one
+const replace = async (db, userId, tokenHash, hours) => {
+  await db.query(
+    'UPDATE email_verifications SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL', [userId]
+  );
+  await db.query(
+    `INSERT INTO email_verifications (user_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(hours => $3))`,
+    [userId, tokenHash, hours]
+  );
+};
+
+// An unexpired link, with whether its account is already verified
+const findValid = async (db, tokenHash) => (await db.query(
+  `SELECT v.id, v.user_id, v.used_at, u.email_verified_at
+   FROM email_verifications v JOIN users u ON v.user_id = u.id
+   WHERE v.token_hash = $1 AND v.expires_at > CURRENT_TIMESTAMP`,
+  [tokenHash]
+)).rows[0];
+
+const markUsed = (db, id) => db.query('UPDATE email_verifications SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+
+module.exports = { replace, findValid, markUsed };
@@ -0,0 +1,33 @@
+// ==================== DATA ACCESS ====================
+// Every query function takes the pool or a transaction client as its first argument,
+// so the same function works inside and outside withTransaction.
+
+// Runs fn(client) between BEGIN and COMMIT, rolling back if it throws
+const withTransaction = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  withTransaction,
+  users: require('./users'),
+  stores: require('./stores'),
+  storeOwners: require('./storeOwners'),
+  categories: require('./categories'),
+  ratings: require('./ratings'),
+  sessions: require('./sessions'),
+  loginThrottles: require('./loginThrottles'),
+  emailVerifications: require('./emailVerifications'),
+  passwordResets: require('./passwordResets'),
+  stats: require('./stats')
+};
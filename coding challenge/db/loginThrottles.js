@@ -0,0 +1,43 @@
+// ==================== LOGIN THROTTLES ====================
+// One row per (scope, identifier): scope is 'email' (lowercased address) or 'ip'.
+
+const find = async (db, { email, ip }) => (await db.query(
+  `SELECT scope, failures,
+     CEIL(EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)))::int as locked_for,
+     EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - last_failed_at))::float as since_failure
+   FROM login_throttles
+   WHERE (scope = 'email' AND identifier = $1) OR (scope = 'ip' AND identifier = $2)`,
+  [email, ip]
+)).rows;
+
+// Counts a failure and locks the identifier once it reaches `limit`. The count restarts once
+// `windowMinutes` have passed since the last failure or a previous lock has expired.
+const recordFailure = async (db, scope, identifier, { windowMinutes, lockMinutes, limit }) => {
+  await db.query(
+    `INSERT INTO login_throttles AS t (scope, identifier, failures) VALUES ($1, $2, 1)
+     ON CONFLICT (scope, identifier) DO UPDATE SET
+       failures = CASE WHEN t.last_failed_at < CURRENT_TIMESTAMP - make_interval(mins => $3) OR t.locked_until <= CURRENT_TIMESTAMP
+         THEN 1 ELSE t.failures + 1 END,
+       last_failed_at = CURRENT_TIMESTAMP,
+       locked_until = NULL`,
+    [scope, identifier, windowMinutes]
+  );
+  await db.query(
+    `UPDATE login_throttles SET locked_until = CURRENT_TIMESTAMP + make_interval(mins => $3)
+     WHERE scope = $1 AND identifier = $2 AND failures >= $4`,
+    [scope, identifier, lockMinutes, limit]
+  );
+};
+
+const clearEmail = (db, email) =>
+  db.query(`DELETE FROM login_throttles WHERE scope = 'email' AND identifier = $1`, [email]);
+
+// Accounts currently locked out by failed logins
+const lockedAccounts = async (db) => (await db.query(
+  `SELECT u.id, u.name, u.email, u.role, t.failures, t.last_failed_at, t.locked_until
+   FROM login_throttles t JOIN users u ON LOWER(u.email) = t.identifier
+   WHERE t.scope = 'email' AND t.locked_until > CURRENT_TIMESTAMP
+   ORDER BY t.locked_until DESC`
+)).rows;
+
+module.exports = { find, recordFailure, clearEmail, lockedAccounts };
@@ -0,0 +1,22 @@
+// ==================== PASSWORD RESETS ====================
+
+// Invalidates any outstanding reset link for the user and stores the new one
+const replace = async (db, userId, tokenHash, minutes) => {
+  await db.query(
+    'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL', [userId]
+  );
+  await db.query(
+    `INSERT INTO password_resets (user_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+    [userId, tokenHash, minutes]
+  );
+};
+
+// Marks an unused, unexpired token as used and returns its user id
+const consume = async (db, tokenHash) => (await db.query(
+  `UPDATE password_resets SET used_at = CURRENT_TIMESTAMP
+   WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP RETURNING user_id`,
+  [tokenHash]
+)).rows[0]?.user_id;
+
+module.exports = { replace, consume };
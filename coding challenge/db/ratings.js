@@ -0,0 +1,108 @@
+// ==================== RATINGS ====================
+
+const findById = async (db, id) =>
+  (await db.query('SELECT id, user_id, store_id FROM ratings WHERE id = $1', [id])).rows[0];
+
+// Locks the caller's current rating of a store (if any) until the transaction ends
+const findForUpdate = async (db, userId, storeId) => (await db.query(
+  'SELECT rating, review FROM ratings WHERE user_id = $1 AND store_id = $2 FOR UPDATE', [userId, storeId]
+)).rows[0];
+
+// An omitted review keeps the current one; an empty review clears it
+const upsert = async (db, { userId, storeId, rating, review }) => (await db.query(
+  `INSERT INTO ratings (user_id, store_id, rating, review) VALUES ($1, $2, $3, $4)
+   ON CONFLICT (user_id, store_id) DO UPDATE SET rating = $3,
+     review = CASE WHEN $5 THEN EXCLUDED.review ELSE ratings.review END,
+     updated_at = CURRENT_TIMESTAMP
+   RETURNING *`, [userId, storeId, rating, review?.trim() || null, review !== undefined]
+)).rows[0];
+
+const remove = async (db, userId, storeId) => (await db.query(
+  'DELETE FROM ratings WHERE user_id = $1 AND store_id = $2 RETURNING *', [userId, storeId]
+)).rows[0];
+
+const addHistory = (db, { ratingId = null, userId, storeId, action, previousRating = null, rating = null, previousReview = null, review = null }) =>
+  db.query(
+    `INSERT INTO rating_history (rating_id, user_id, store_id, action, previous_rating, rating, previous_review, review)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [ratingId, userId, storeId, action, previousRating, rating, previousReview, review]
+  );
+
+// ==================== RATING HISTORY ====================
+const HISTORY_FILTERS = {
+  ratingId: 'h.rating_id = $1', userId: 'h.user_id = $1', storeId: 'h.store_id = $1', storeIds: 'h.store_id = ANY($1::int[])'
+};
+
+// filter is one of { ratingId }, { userId }, { storeId } or { storeIds }
+const history = async (db, filter, { limit, offset }) => {
+  const [key, value] = Object.entries(filter)[0];
+  const condition = HISTORY_FILTERS[key];
+  const [count, result] = await Promise.all([
+    db.query(`SELECT COUNT(*) FROM rating_history h WHERE ${condition}`, [value]),
+    db.query(
+      `SELECT h.id, h.rating_id, h.action, h.previous_rating, h.rating, h.previous_review, h.review, h.changed_at,
+         h.user_id, u.name as user_name, u.email as user_email, h.store_id, s.name as store_name
+       FROM rating_history h JOIN users u ON h.user_id = u.id JOIN stores s ON h.store_id = s.id
+       WHERE ${condition} ORDER BY h.changed_at DESC, h.id DESC
+       LIMIT $2 OFFSET $3`, [value, limit, offset])
+  ]);
+  return { items: result.rows, total: parseInt(count.rows[0].count) };
+};
+
+// ==================== STORE RATINGS ====================
+// These take a list of store ids so an owner can look at one store or all of theirs together
+
+const averageForStores = async (db, storeIds) => (await db.query(
+  'SELECT COALESCE(ROUND(AVG(rating)::numeric, 2), 0) as avg FROM ratings WHERE store_id = ANY($1::int[])', [storeIds]
+)).rows[0].avg;
+
+const listForStores = async (db, storeIds) => (await db.query(
+  `SELECT r.id, r.store_id, s.name as store_name, u.name, u.email, r.rating, r.review, r.updated_at,
+     rr.reply, rr.updated_at as reply_updated_at
+   FROM ratings r JOIN users u ON r.user_id = u.id JOIN stores s ON r.store_id = s.id
+   LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+   WHERE r.store_id = ANY($1::int[]) ORDER BY r.updated_at DESC`, [storeIds]
+)).rows;
+
+const storeExportQuery = (storeIds) => ({
+  sql: `SELECT s.name as store_name, u.name, u.email, r.rating, r.review, r.updated_at, rr.reply
+    FROM ratings r JOIN users u ON r.user_id = u.id JOIN stores s ON r.store_id = s.id
+    LEFT JOIN rating_replies rr ON rr.rating_id = r.id
+    WHERE r.store_id = ANY($1::int[]) ORDER BY r.updated_at DESC, r.id`,
+  params: [storeIds]
+});
+
+// Volume and average per day/week/month bucket from the rating history; empty buckets are included
+const trend = async (db, storeIds, { interval, from, to }) => (await db.query(
+  `SELECT b.period,
+     COUNT(h.rating) as volume,
+     COUNT(h.id) FILTER (WHERE h.action = 'created') as new_ratings,
+     ROUND(AVG(h.rating)::numeric, 2) as average
+   FROM generate_series(date_trunc($2, $3::timestamp), date_trunc($2, $4::timestamp), ('1 ' || $2)::interval) AS b(period)
+   LEFT JOIN rating_history h ON h.store_id = ANY($1::int[]) AND date_trunc($2, h.changed_at) = b.period
+   GROUP BY b.period ORDER BY b.period`,
+  [storeIds, interval, from.toISOString(), to.toISOString()]
+)).rows;
+
+// ==================== REPLIES ====================
+const existsOnStores = async (db, id, storeIds) =>
+  (await db.query('SELECT id FROM ratings WHERE id = $1 AND store_id = ANY($2::int[])', [id, storeIds])).rows.length > 0;
+
+// One reply per rating; saving again edits it
+const saveReply = async (db, { ratingId, ownerId, reply }) => (await db.query(
+  `INSERT INTO rating_replies (rating_id, owner_id, reply) VALUES ($1, $2, $3)
+   ON CONFLICT (rating_id) DO UPDATE SET reply = $3, owner_id = $2, updated_at = CURRENT_TIMESTAMP
+   RETURNING *`, [ratingId, ownerId, reply]
+)).rows[0];
+
+const deleteReply = async (db, ratingId, storeIds) => (await db.query(
+  `DELETE FROM rating_replies rr USING ratings r
+   WHERE rr.rating_id = r.id AND r.id = $1 AND r.store_id = ANY($2::int[]) RETURNING rr.id`,
+  [ratingId, storeIds]
+)).rows[0];
+
+module.exports = {
+  findById, findForUpdate, upsert, remove, addHistory, history,
+  averageForStores, listForStores, storeExportQuery, trend,
+  existsOnStores, saveReply, deleteReply
+};
@@ -0,0 +1,42 @@
+// ==================== SESSIONS ====================
+// Refresh tokens are only ever stored as hashes.
+
+const create = async (db, { userId, tokenHash, userAgent, days }) => {
+  await db.query('DELETE FROM sessions WHERE user_id = $1 AND expires_at < CURRENT_TIMESTAMP', [userId]);
+  const result = await db.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4)) RETURNING id`,
+    [userId, tokenHash, userAgent, days]
+  );
+  return result.rows[0];
+};
+
+// Matches the current refresh token or the one it replaced, so reuse of an old token can be detected
+const findByTokenHash = async (db, hash) => (await db.query(
+  'SELECT * FROM sessions WHERE refresh_token_hash = $1 OR previous_token_hash = $1', [hash]
+)).rows[0];
+
+// Swaps in a new refresh token; returns nothing if the session was revoked or rotated meanwhile
+const rotate = async (db, id, currentHash, nextHash) => (await db.query(
+  `UPDATE sessions SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1,
+     last_used_at = CURRENT_TIMESTAMP
+   WHERE id = $2 AND refresh_token_hash = $3 AND revoked_at IS NULL RETURNING id`,
+  [nextHash, id, currentHash]
+)).rows[0];
+
+const revoke = (db, id) => db.query('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+
+// Revokes every active session of a user, optionally keeping one (e.g. the one changing the password)
+const revokeAllForUser = (db, userId, exceptSessionId = null) => db.query(
+  `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+   WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2`, [userId, exceptSessionId]
+);
+
+// The user behind an access token, as long as its session is still active, with the ids of the stores they own
+const findActiveUser = async (db, userId, sessionId) => (await db.query(
+  `SELECT u.*, ARRAY(SELECT so.store_id FROM store_owners so WHERE so.user_id = u.id ORDER BY so.store_id) as store_ids
+   FROM users u JOIN sessions s ON s.user_id = u.id
+   WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL`, [userId, sessionId]
+)).rows[0];
+
+module.exports = { create, findByTokenHash, rotate, revoke, revokeAllForUser, findActiveUser };
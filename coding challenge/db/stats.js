@@ -0,0 +1,49 @@
+// ==================== STATS ====================
+
+// Totals plus activity over the last `days` days and store/rater leaderboards
+const adminDashboard = async (db, days) => {
+  const storeStats = `SELECT s.id, s.name, ROUND(AVG(r.rating)::numeric, 2) as rating, COUNT(r.id) as rating_count
+    FROM stores s JOIN ratings r ON s.id = r.store_id GROUP BY s.id`;
+  const perDay = (table) => `SELECT d.day::date as date, COUNT(t.id) as count
+    FROM generate_series(CURRENT_DATE - ($1::int - 1), CURRENT_DATE, '1 day') AS d(day)
+    LEFT JOIN ${table} t ON t.created_at::date = d.day::date
+    GROUP BY d.day ORDER BY d.day`;
+
+  const [users, stores, ratings, roles, newUsers, newRatings, topStores, bottomStores, unrated, topRaters] = await Promise.all([
+    db.query('SELECT COUNT(*) FROM users'),
+    db.query('SELECT COUNT(*) FROM stores'),
+    db.query('SELECT COUNT(*) FROM ratings'),
+    db.query('SELECT role, COUNT(*) FROM users GROUP BY role'),
+    db.query(perDay('users'), [days]),
+    db.query(perDay('ratings'), [days]),
+    db.query(`${storeStats} ORDER BY rating DESC, rating_count DESC, s.id LIMIT 5`),
+    db.query(`${storeStats} ORDER BY rating ASC, rating_count DESC, s.id LIMIT 5`),
+    db.query(
+      `SELECT s.id, s.name, s.created_at, COUNT(*) OVER() as total FROM stores s
+       WHERE NOT EXISTS (SELECT 1 FROM ratings r WHERE r.store_id = s.id)
+       ORDER BY s.created_at, s.id LIMIT 5`),
+    db.query(
+      `SELECT u.id, u.name, u.email, COUNT(r.id) as rating_count, ROUND(AVG(r.rating)::numeric, 2) as average_given
+       FROM users u JOIN ratings r ON u.id = r.user_id
+       GROUP BY u.id ORDER BY rating_count DESC, u.id LIMIT 5`)
+  ]);
+  const toCounts = (rows) => rows.map((r) => ({ date: r.date, count: parseInt(r.count) }));
+  return {
+    totalUsers: parseInt(users.rows[0].count),
+    totalStores: parseInt(stores.rows[0].count),
+    totalRatings: parseInt(ratings.rows[0].count),
+    usersByRole: Object.fromEntries(['admin', 'user', 'store_owner'].map((role) =>
+      [role, parseInt(roles.rows.find((r) => r.role === role)?.count || 0)])),
+    newUsersPerDay: toCounts(newUsers.rows),
+    newRatingsPerDay: toCounts(newRatings.rows),
+    topRatedStores: topStores.rows,
+    lowestRatedStores: bottomStores.rows,
+    unratedStores: {
+      total: parseInt(unrated.rows[0]?.total || 0),
+      stores: unrated.rows.map(({ total, ...store }) => store)
+    },
+    mostActiveRaters: topRaters.rows
+  };
+};
+
+module.exports = { adminDashboard };
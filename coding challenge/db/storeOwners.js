@@ -0,0 +1,35 @@
+// ==================== STORE OWNERS ====================
+// Links store_owner accounts to the stores they manage; both sides can have several.
+
+// Owners of one store, for the admin store screens
+const listForStore = async (db, storeId) => (await db.query(
+  `SELECT u.id, u.name, u.email, so.created_at as assigned_at
+   FROM store_owners so JOIN users u ON u.id = so.user_id
+   WHERE so.store_id = $1 ORDER BY u.name, u.id`, [storeId]
+)).rows;
+
+// The stores a user owns with their average rating, for the owner's store switcher
+const storesForUser = async (db, userId) => (await db.query(
+  `SELECT s.id, s.name, s.address, COALESCE(ROUND(AVG(r.rating)::numeric, 2), 0) as average_rating,
+     COUNT(r.id) as rating_count
+   FROM store_owners so JOIN stores s ON s.id = so.store_id LEFT JOIN ratings r ON r.store_id = s.id
+   WHERE so.user_id = $1 GROUP BY s.id ORDER BY s.name, s.id`, [userId]
+)).rows;
+
+// Returns the new link, or nothing if the user already owns the store
+const assign = async (db, storeId, userId) => (await db.query(
+  'INSERT INTO store_owners (store_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING *', [storeId, userId]
+)).rows[0];
+
+const unassign = async (db, storeId, userId) => (await db.query(
+  'DELETE FROM store_owners WHERE store_id = $1 AND user_id = $2 RETURNING *', [storeId, userId]
+)).rows[0];
+
+// Store owners among userIds that no longer own any store go back to being normal users
+const demoteWithoutStores = (db, userIds) => db.query(
+  `UPDATE users SET role = 'user'
+   WHERE id = ANY($1::int[]) AND role = 'store_owner'
+     AND NOT EXISTS (SELECT 1 FROM store_owners so WHERE so.user_id = users.id)`, [userIds]
+);
+
+module.exports = { listForStore, storesForUser, assign, unassign, demoteWithoutStores };
@@ -0,0 +1,247 @@
+// ==================== STORES ====================
+const storeOwners = require('./storeOwners');
+
+const findById = async (db, id) => (await db.query('SELECT * FROM stores WHERE id = $1', [id])).rows[0];
+
+// Tags are compared lower-case and without surrounding spaces; duplicates collapse
+const normalizeTags = (tags) => [...new Set(tags.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+
+// Category name and tags of store s, for list queries
+const CATEGORY_AND_TAGS = `(SELECT c.name FROM categories c WHERE c.id = s.category_id) as category,
+    ARRAY(SELECT t.tag FROM store_tags t WHERE t.store_id = s.id ORDER BY t.tag) as tags`;
+
+// Most frequent tags returned as facets
+const TAG_FACET_LIMIT = 20;
+
+// Both expressions are indexed by migration 004; keep them identical so the indexes are used
+const SEARCH_VECTOR = `(setweight(to_tsvector('english', s.name), 'A') || setweight(to_tsvector('english', COALESCE(s.address, '')), 'B'))`;
+const SEARCH_TEXT = `(s.name || ' ' || COALESCE(s.address, ''))`;
+
+// A store matches the search text $n when all its words are found (stemmed, any order) or when it is close
+// to a word sequence in the name or address (typos, partial words). Relevance adds both scores.
+const searchMatch = (n) =>
+  `(${SEARCH_VECTOR} @@ websearch_to_tsquery('english', $${n}) OR $${n} <% ${SEARCH_TEXT})`;
+const searchRank = (n) =>
+  `(ts_rank(${SEARCH_VECTOR}, websearch_to_tsquery('english', $${n})) + word_similarity($${n}, ${SEARCH_TEXT}))`;
+
+// Great-circle (haversine) distance in km between store s and the point in parameters $lat and $lng
+const distanceKm = (lat, lng) => `(6371 * 2 * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(s.latitude - $${lat}::float8) / 2), 2) +
+    COS(RADIANS($${lat}::float8)) * COS(RADIANS(s.latitude)) * POWER(SIN(RADIANS(s.longitude - $${lng}::float8) / 2), 2)))))`;
+
+// Kilometres per degree of latitude, to narrow radius searches to a band of latitudes first
+const KM_PER_DEGREE = 111.045;
+
+// Search text, category id, tags (all required) and the validated `near` point from the rating screen's query
+const parseUserFilters = (filters) => ({
+  q: (filters.q || '').trim(),
+  category: filters.category || null,
+  tags: normalizeTags(String(filters.tags || '').split(',')),
+  near: filters.near || null
+});
+
+// WHERE clause for the rating screen. The search text is always $1 when present. `except` leaves out one
+// filter so its facet counts show what picking another value would give. With a radius search, `point`
+// holds the parameter numbers of the searched latitude and longitude.
+const userListWhere = ({ q, category, tags, near }, except) => {
+  let where = ' WHERE 1=1';
+  const params = [];
+  let point = null;
+
+  if (q) { params.push(q); where += ` AND ${searchMatch(params.length)}`; }
+  if (category && except !== 'category') { params.push(category); where += ` AND s.category_id = $${params.length}`; }
+  if (tags.length && except !== 'tags') {
+    params.push(tags);
+    where += ` AND $${params.length}::text[] <@ ARRAY(SELECT t.tag::text FROM store_tags t WHERE t.store_id = s.id)`;
+  }
+  if (near && near.radius) {
+    params.push(near.latitude, near.longitude, near.radius);
+    const [lat, lng, radius] = [params.length - 2, params.length - 1, params.length];
+    point = [lat, lng];
+    where += ` AND s.latitude BETWEEN $${lat}::float8 - $${radius}::float8 / ${KM_PER_DEGREE}
+      AND $${lat}::float8 + $${radius}::float8 / ${KM_PER_DEGREE}
+      AND ${distanceKm(lat, lng)} <= $${radius}::float8`;
+  }
+  return { where, params, point };
+};
+
+// Store counts per category and for the most used tags among the stores the other filters leave
+const facets = async (db, filters) => {
+  const byCategory = userListWhere(filters, 'category');
+  const byTag = userListWhere(filters, 'tags');
+  const [categories, tags] = await Promise.all([
+    db.query(
+      `SELECT c.id, c.name, COUNT(f.id) as count FROM categories c
+       LEFT JOIN (SELECT s.id, s.category_id FROM stores s${byCategory.where}) f ON f.category_id = c.id
+       GROUP BY c.id ORDER BY c.name, c.id`, byCategory.params),
+    db.query(
+      `SELECT t.tag, COUNT(*) as count FROM store_tags t JOIN stores s ON s.id = t.store_id${byTag.where}
+       GROUP BY t.tag ORDER BY count DESC, t.tag LIMIT ${TAG_FACET_LIMIT}`, byTag.params)
+  ]);
+  return {
+    categories: categories.rows.map((c) => ({ ...c, count: parseInt(c.count) })),
+    tags: tags.rows.map((t) => ({ ...t, count: parseInt(t.count) }))
+  };
+};
+
+// Store list for the rating screen, with the caller's own rating, review and the owner's reply, plus facets.
+// With `q` the stores are searched and sorted by relevance unless another sort is asked for;
+// boost=rating lifts better-rated stores among similar matches. `category` and `tags` narrow the list.
+// With `near` every store gets its distance_km (null without a location), nearest first unless another sort
+// is asked for; near.radius keeps only stores within that many km.
+const listForUser = async (db, query, userId, { limit, offset }) => {
+  const filters = parseUserFilters(query);
+  const { q, near } = filters;
+  const defaultSort = q ? 'relevance' : near ? 'distance' : 'name';
+  const { sortBy = defaultSort, order = q && sortBy === 'relevance' ? 'desc' : 'asc', boost } = query;
+  const sortColumns = {
+    name: 's.name', email: 's.email', address: 's.address', created_at: 's.created_at',
+    overall_rating: 'overall_rating', rating_count: 'rating_count', user_rating: 'user_rating',
+    ...(q && { relevance: 'relevance' }),
+    ...(near && { distance: 'distance_km' })
+  };
+  const validSort = sortColumns[sortBy] || 's.name';
+  const validOrder = order === 'desc' ? 'DESC' : 'ASC';
+
+  const { where, params, point } = userListWhere(filters);
+  let relevance = '0';
+  if (q) {
+    relevance = searchRank(1);
+    if (boost === 'rating') relevance += ' * (1 + COALESCE(AVG(r.rating), 0) / 10)';
+  }
+
+  // Without a radius the WHERE clause does not use the point, so it is only sent with the list query
+  const listParams = [...params];
+  let distance = 'NULL';
+  if (near) {
+    let [lat, lng] = point || [];
+    if (!point) {
+      listParams.push(near.latitude, near.longitude);
+      [lat, lng] = [listParams.length - 1, listParams.length];
+    }
+    distance = `ROUND(${distanceKm(lat, lng)}::numeric, 2)`;
+  }
+  const n = listParams.length;
+
+  const sql = `SELECT s.*, ${relevance} as relevance, ${distance} as distance_km, ${CATEGORY_AND_TAGS},
+    COALESCE(ROUND(AVG(r.rating)::numeric, 2), 0) as overall_rating,
+    COUNT(r.id) as rating_count,
+    (SELECT rating FROM ratings WHERE user_id = $${n + 1} AND store_id = s.id) as user_rating,
+    (SELECT review FROM ratings WHERE user_id = $${n + 1} AND store_id = s.id) as user_review,
+    (SELECT rr.reply FROM rating_replies rr JOIN ratings ur ON rr.rating_id = ur.id
+      WHERE ur.user_id = $${n + 1} AND ur.store_id = s.id) as owner_reply
+    FROM stores s LEFT JOIN ratings r ON s.id = r.store_id${where}
+    GROUP BY s.id ORDER BY ${validSort} ${validOrder} NULLS LAST, s.id
+    LIMIT $${n + 2} OFFSET $${n + 3}`;
+
+  const [count, result, facetCounts] = await Promise.all([
+    db.query(`SELECT COUNT(*) FROM stores s${where}`, params),
+    db.query(sql, [...listParams, userId, limit, offset]),
+    facets(db, filters)
+  ]);
+  return { items: result.rows, total: parseInt(count.rows[0].count), facets: facetCounts };
+};
+
+// Autocomplete: the closest store names for a partial search, best match first
+const suggest = async (db, q, limit) => (await db.query(
+  `SELECT s.id, s.name, s.address FROM stores s
+   WHERE ${searchMatch(1)}
+   ORDER BY ${searchRank(1)} DESC, s.name, s.id LIMIT $2`, [q, limit]
+)).rows;
+
+// Filtered and sorted store list shared by the admin's paginated list and the export
+const adminListQuery = (filters) => {
+  const { name, email, address, sortBy = 'name', order = 'asc' } = filters;
+  const sortColumns = {
+    name: 's.name', email: 's.email', address: 's.address', created_at: 's.created_at',
+    rating: 'rating', rating_count: 'rating_count'
+  };
+  const validSort = sortColumns[sortBy] || 's.name';
+  const validOrder = order === 'desc' ? 'DESC' : 'ASC';
+
+  let where = ' WHERE 1=1';
+  const params = [];
+
+  if (name) { params.push(`%${name}%`); where += ` AND s.name ILIKE $${params.length}`; }
+  if (email) { params.push(`%${email}%`); where += ` AND s.email ILIKE $${params.length}`; }
+  if (address) { params.push(`%${address}%`); where += ` AND s.address ILIKE $${params.length}`; }
+
+  const sql = `SELECT s.*, ${CATEGORY_AND_TAGS}, COALESCE(ROUND(AVG(r.rating)::numeric, 2), 0) as rating,
+    COUNT(r.id) as rating_count,
+    COALESCE((SELECT json_agg(json_build_object('id', u.id, 'name', u.name, 'email', u.email) ORDER BY u.name, u.id)
+      FROM store_owners so JOIN users u ON u.id = so.user_id WHERE so.store_id = s.id), '[]') as owners
+    FROM stores s LEFT JOIN ratings r ON s.id = r.store_id${where}
+    GROUP BY s.id ORDER BY ${validSort} ${validOrder}, s.id`;
+  return { sql, countSql: `SELECT COUNT(*) FROM stores s${where}`, params };
+};
+
+const listForAdmin = async (db, filters, { limit, offset }) => {
+  const { sql, countSql, params } = adminListQuery(filters);
+  const [count, result] = await Promise.all([
+    db.query(countSql, params),
+    db.query(`${sql} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`, [...params, limit, offset])
+  ]);
+  return { items: result.rows, total: parseInt(count.rows[0].count) };
+};
+
+// Replaces the store's tags and returns them as stored; run it inside a transaction
+const setTags = async (db, storeId, tags) => {
+  const normalized = normalizeTags(tags);
+  await db.query('DELETE FROM store_tags WHERE store_id = $1', [storeId]);
+  await db.query('INSERT INTO store_tags (store_id, tag) SELECT $1, unnest($2::text[])', [storeId, normalized]);
+  return normalized.sort();
+};
+
+// Run it inside a transaction when tags are given
+const create = async (db, { name, email, address, categoryId = null, tags = [], latitude = null, longitude = null }) => {
+  const store = (await db.query(
+    `INSERT INTO stores (name, email, address, category_id, latitude, longitude)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [name, email, address, categoryId, latitude, longitude]
+  )).rows[0];
+  return { ...store, tags: await setTags(db, store.id, tags) };
+};
+
+// Creates a store and a new owner account linked to it; run it inside a transaction
+const createWithOwner = async (db, {
+  name, email, address, categoryId, tags, latitude, longitude, ownerName, ownerEmail, ownerAddress
+}, ownerPassword) => {
+  const store = await create(db, { name, email, address, categoryId, tags, latitude, longitude });
+
+  const ownerResult = await db.query(
+    `INSERT INTO users (name, email, password, address, role)
+     VALUES ($1, $2, $3, $4, 'store_owner') RETURNING id`,
+    [ownerName, ownerEmail, ownerPassword, ownerAddress]
+  );
+
+  await storeOwners.assign(db, store.id, ownerResult.rows[0].id);
+  return store;
+};
+
+// `fields` may hold name, email, address, latitude, longitude, categoryId and tags; run it inside a transaction
+// when tags are given
+const update = async (db, id, { categoryId, tags, ...fields }) => {
+  if (categoryId !== undefined) fields.category_id = categoryId;
+  const sets = [];
+  const params = [];
+  Object.entries(fields).forEach(([key, value]) => {
+    params.push(value);
+    sets.push(`${key} = $${params.length}`);
+  });
+  params.push(id);
+
+  const store = sets.length
+    ? (await db.query(`UPDATE stores SET ${sets.join(', ')} WHERE id = $${params.length} RETURNING *`, params)).rows[0]
+    : await findById(db, id);
+  if (!store || tags === undefined) return store;
+  return { ...store, tags: await setTags(db, id, tags) };
+};
+
+// Ratings for the store are removed by ON DELETE CASCADE; owners left without a store become normal users
+const remove = async (db, id) => {
+  const owners = await db.query('DELETE FROM store_owners WHERE store_id = $1 RETURNING user_id', [id]);
+  await storeOwners.demoteWithoutStores(db, owners.rows.map((o) => o.user_id));
+  return (await db.query('DELETE FROM stores WHERE id = $1 RETURNING id', [id])).rows[0];
+};
+
+module.exports = { findById, listForUser, suggest, adminListQuery, listForAdmin, create, createWithOwner, update, remove };
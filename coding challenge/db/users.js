@@ -0,0 +1,121 @@
+// ==================== USERS ====================
+// Passwords passed to these functions must already be hashed.
+
+// Stores owned by u, as [{ id, name }], and their combined average rating
+const OWNED_STORES = `COALESCE((SELECT json_agg(json_build_object('id', s.id, 'name', s.name) ORDER BY s.name, s.id)
+    FROM store_owners so JOIN stores s ON s.id = so.store_id WHERE so.user_id = u.id), '[]') as stores,
+  COALESCE((SELECT ROUND(AVG(r.rating)::numeric, 2) FROM ratings r
+    JOIN store_owners so ON so.store_id = r.store_id WHERE so.user_id = u.id), 0) as rating`;
+
+const create = async (db, { name, email, password, address, role = 'user', verified = true }) => {
+  const result = await db.query(
+    `INSERT INTO users (name, email, password, address, role, email_verified_at)
+     VALUES ($1, $2, $3, $4, $5, CASE WHEN $6 THEN CURRENT_TIMESTAMP END) RETURNING *`,
+    [name, email, password, address, role, verified]
+  );
+  return result.rows[0];
+};
+
+const findById = async (db, id) => (await db.query('SELECT * FROM users WHERE id = $1', [id])).rows[0];
+
+const findByEmail = async (db, email) => (await db.query('SELECT * FROM users WHERE email = $1', [email])).rows[0];
+
+const findForUpdate = async (db, id) => (await db.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [id])).rows[0];
+
+const adminExists = async (db) =>
+  (await db.query("SELECT 1 FROM users WHERE role = 'admin' LIMIT 1")).rows.length > 0;
+
+// Serialises first-run setup so only one admin can be created that way
+const lockTable = (db) => db.query('LOCK TABLE users IN SHARE ROW EXCLUSIVE MODE');
+
+// Also clears a forced password change
+const setPassword = async (db, id, password) => (await db.query(
+  'UPDATE users SET password = $1, must_change_password = false WHERE id = $2 RETURNING *', [password, id]
+)).rows[0];
+
+const markEmailVerified = (db, id) => db.query(
+  'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1', [id]
+);
+
+// An unverified account that has not been sent a link in the last `resendSeconds`
+const findAwaitingVerification = async (db, email, resendSeconds) => (await db.query(
+  `SELECT u.* FROM users u
+   WHERE u.email = $1 AND u.email_verified_at IS NULL
+     AND NOT EXISTS (SELECT 1 FROM email_verifications v WHERE v.user_id = u.id
+       AND v.created_at > CURRENT_TIMESTAMP - make_interval(secs => $2))`,
+  [email, resendSeconds]
+)).rows[0];
+
+// The account for `email`, unless it was sent a reset link in the last `resendSeconds`
+const findForPasswordReset = async (db, email, resendSeconds) => (await db.query(
+  `SELECT u.* FROM users u
+   WHERE u.email = $1
+     AND NOT EXISTS (SELECT 1 FROM password_resets p WHERE p.user_id = u.id
+       AND p.created_at > CURRENT_TIMESTAMP - make_interval(secs => $2))`,
+  [email, resendSeconds]
+)).rows[0];
+
+// Filtered and sorted user list shared by the paginated list and the export
+// `search` matches name or email (for pickers); `role` may list several roles separated by commas
+const listQuery = (filters) => {
+  const { name, email, address, role, search, sortBy = 'name', order = 'asc' } = filters;
+  const validSort = ['name', 'email', 'address', 'role'].includes(sortBy) ? sortBy : 'name';
+  const validOrder = order === 'desc' ? 'DESC' : 'ASC';
+
+  let where = ' WHERE 1=1';
+  const params = [];
+
+  if (name) { params.push(`%${name}%`); where += ` AND u.name ILIKE $${params.length}`; }
+  if (email) { params.push(`%${email}%`); where += ` AND u.email ILIKE $${params.length}`; }
+  if (address) { params.push(`%${address}%`); where += ` AND u.address ILIKE $${params.length}`; }
+  // role=user,admin and a repeated role=user&role=admin both allow several roles
+  if (role) { params.push(String(role).split(',')); where += ` AND u.role = ANY($${params.length})`; }
+  if (search) { params.push(`%${search}%`); where += ` AND (u.name ILIKE $${params.length} OR u.email ILIKE $${params.length})`; }
+
+  const sql = `SELECT u.id, u.name, u.email, u.address, u.role, ${OWNED_STORES}
+    FROM users u${where} ORDER BY ${validSort} ${validOrder}, u.id`;
+  return { sql, countSql: `SELECT COUNT(*) FROM users u${where}`, params };
+};
+
+const list = async (db, filters, { limit, offset }) => {
+  const { sql, countSql, params } = listQuery(filters);
+  const [count, result] = await Promise.all([
+    db.query(countSql, params),
+    db.query(`${sql} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`, [...params, limit, offset])
+  ]);
+  return { items: result.rows, total: parseInt(count.rows[0].count) };
+};
+
+// Admin detail view: the owner's stores and their rating, and any active login lockout
+const findDetails = async (db, id) => (await db.query(
+  `SELECT u.id, u.name, u.email, u.address, u.role, ${OWNED_STORES},
+    (SELECT t.locked_until FROM login_throttles t
+     WHERE t.scope = 'email' AND t.identifier = LOWER(u.email) AND t.locked_until > CURRENT_TIMESTAMP) as locked_until
+   FROM users u WHERE u.id = $1`, [id]
+)).rows[0];
+
+// Updates the given columns; detachStores also unlinks the user from every store they own
+const update = async (db, id, fields, { detachStores = false } = {}) => {
+  const sets = [];
+  const params = [];
+  Object.entries(fields).forEach(([key, value]) => {
+    params.push(value);
+    sets.push(`${key} = $${params.length}`);
+  });
+  if (detachStores) await db.query('DELETE FROM store_owners WHERE user_id = $1', [id]);
+  params.push(id);
+
+  const result = await db.query(
+    `UPDATE users SET ${sets.join(', ')} WHERE id = $${params.length}
+     RETURNING id, name, email, address, role`, params
+  );
+  return result.rows[0];
+};
+
+// Ratings and store links of the user are removed by ON DELETE CASCADE; owned stores are kept
+const remove = async (db, id) => (await db.query('DELETE FROM users WHERE id = $1 RETURNING id', [id])).rows[0];
+
+module.exports = {
+  create, findById, findByEmail, findForUpdate, adminExists, lockTable, setPassword, markEmailVerified,
+  findAwaitingVerification, findForPasswordReset, listQuery, list, findDetails, update, remove
+};
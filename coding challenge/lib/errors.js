@@ -0,0 +1,111 @@
+// ==================== ERRORS ====================
+// Every failed request is answered by middleware/errors.js as
+//   { error, code, requestId, fields?, ...details }
+// `code` is one of ERROR_CODES (documented in projectstructure.md), `fields` maps form fields to messages
+// for validation errors and `details` carries extras such as retryAfter.
+const { validate, hasErrors } = require('../shared/validation');
+
+const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, message: 'Some fields are invalid' },
+  BAD_REQUEST: { status: 400, message: 'Bad request' },
+  INVALID_JSON: { status: 400, message: 'Request body is not valid JSON' },
+  INVALID_INPUT: { status: 400, message: 'A value in the request has the wrong type or format' },
+  INVALID_REFERENCE: { status: 400, message: 'The request refers to a record that does not exist' },
+  INVALID_OR_EXPIRED_LINK: { status: 400, message: 'Invalid or expired link' },
+  CURRENT_PASSWORD_INCORRECT: { status: 400, message: 'Current password incorrect' },
+  PASSWORD_UNCHANGED: { status: 400, message: 'New password must be different' },
+  NO_STORE_ASSIGNED: { status: 400, message: 'No store assigned' },
+  CANNOT_MODIFY_SELF: { status: 400, message: 'You cannot do this to your own account' },
+  AUTH_REQUIRED: { status: 401, message: 'No token provided' },
+  INVALID_TOKEN: { status: 401, message: 'Invalid token' },
+  SESSION_EXPIRED: { status: 401, message: 'Session expired' },
+  INVALID_CREDENTIALS: { status: 401, message: 'Invalid credentials' },
+  FORBIDDEN: { status: 403, message: 'Access denied' },
+  PASSWORD_CHANGE_REQUIRED: { status: 403, message: 'You must change your password before continuing' },
+  EMAIL_NOT_VERIFIED: { status: 403, message: 'Please verify your email address before rating stores' },
+  INVALID_SETUP_TOKEN: { status: 403, message: 'Invalid setup token' },
+  NOT_FOUND: { status: 404, message: 'Not found' },
+  ROUTE_NOT_FOUND: { status: 404, message: 'No such API endpoint' },
+  EMAIL_EXISTS: { status: 409, message: 'Email already exists' },
+  STORE_EMAIL_EXISTS: { status: 409, message: 'Store email already exists' },
+  CONFLICT: { status: 409, message: 'This record already exists' },
+  STILL_REFERENCED: { status: 409, message: 'This record is still in use and cannot be removed' },
+  SETUP_COMPLETED: { status: 409, message: 'Setup has already been completed' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'Request body is too large' },
+  ACCOUNT_LOCKED: { status: 423, message: 'This account is locked' },
+  LOGIN_THROTTLED: { status: 429, message: 'Too many failed login attempts' },
+  IP_LOCKED: { status: 429, message: 'Too many failed login attempts from your network' },
+  INTERNAL_ERROR: { status: 500, message: 'Something went wrong. Please try again later.' },
+  GEOCODING_FAILED: { status: 502, message: 'The geocoding service could not be reached' }
+};
+
+class AppError extends Error {
+  // new AppError('NOT_FOUND', 'User not found'); the message defaults to the catalogue's
+  constructor(code, message, { fields, details } = {}) {
+    super(message || ERROR_CODES[code].message);
+    this.name = 'AppError';
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+    this.fields = fields;
+    this.details = details;
+  }
+}
+
+// Unique constraints that clients can act on, by constraint name
+const UNIQUE_CONSTRAINTS = {
+  users_email_key: () => new AppError('EMAIL_EXISTS', null, { fields: { email: 'Email already exists' } }),
+  stores_email_key: () => new AppError('STORE_EMAIL_EXISTS', null, { fields: { email: 'Store email already exists' } }),
+  categories_name_key: () => new AppError('CONFLICT', 'Category already exists', { fields: { name: 'Category already exists' } })
+};
+
+// Foreign keys whose missing parent is better reported as a 404 on that resource
+const FOREIGN_KEYS = {
+  ratings_store_id_fkey: () => new AppError('NOT_FOUND', 'Store not found'),
+  stores_category_id_fkey: () => new AppError('VALIDATION_FAILED', 'Category not found', { fields: { categoryId: 'Category not found' } })
+};
+
+// Bad input that reached a query: wrong type, out of range, too long, missing or failing a CHECK
+const INVALID_INPUT_CODES = ['22P02', '22003', '22001', '22007', '22008', '23502', '23514'];
+
+// PostgreSQL error (SQLSTATE in err.code) -> AppError, or null when it is not a client mistake
+const fromDatabaseError = (err) => {
+  if (err.code === '23505') return (UNIQUE_CONSTRAINTS[err.constraint] || (() => new AppError('CONFLICT')))();
+  if (err.code === '23503') {
+    // pg reports a delete blocked by referencing rows as "update or delete on table ..."
+    if (/^update or delete/.test(err.message)) return new AppError('STILL_REFERENCED');
+    return (FOREIGN_KEYS[err.constraint] || (() => new AppError('INVALID_REFERENCE')))();
+  }
+  if (INVALID_INPUT_CODES.includes(err.code)) return new AppError('INVALID_INPUT');
+  return null;
+};
+
+// Turns anything thrown by a route into an AppError. Unknown errors become INTERNAL_ERROR so their
+// message (often a raw SQL error) never reaches the client.
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+  if (err.type === 'entity.parse.failed') return new AppError('INVALID_JSON');
+  if (err.type === 'entity.too.large') return new AppError('PAYLOAD_TOO_LARGE');
+  if (err.type && err.status >= 400 && err.status < 500) return new AppError('BAD_REQUEST');
+  if (typeof err.code === 'string' && err.severity) return fromDatabaseError(err) || new AppError('INTERNAL_ERROR');
+  return new AppError('INTERNAL_ERROR');
+};
+
+// Throws VALIDATION_FAILED with every invalid field when `data` does not match the shared schema
+const assertValid = (schema, data, options) => {
+  const fields = validate(schema, data, options);
+  if (hasErrors(fields)) throw new AppError('VALIDATION_FAILED', Object.values(fields).join(', '), { fields });
+};
+
+// Repeated query parameters (?q=a&q=b) arrive as arrays; throws VALIDATION_FAILED unless each named one is a single value
+const assertSingleValues = (query, names) => {
+  const fields = {};
+  names.forEach((name) => {
+    if (query[name] !== undefined && typeof query[name] !== 'string') fields[name] = `Give ${name} only once`;
+  });
+  if (hasErrors(fields)) throw new AppError('VALIDATION_FAILED', Object.values(fields).join(', '), { fields });
+};
+
+// Express 4 does not catch rejected promises; this hands them to the error middleware
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = { ERROR_CODES, AppError, toAppError, assertValid, assertSingleValues, asyncHandler };
@@ -0,0 +1,61 @@
+// ==================== EXPORT ====================
+const EXPORT_BATCH_SIZE = 500;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheet apps from evaluating user-entered text as a formula; numbers such as negative
+  // coordinates are left as they are
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Streams a query as CSV (default) or JSON (?format=json) through a server-side cursor,
+// so large tables are written in batches instead of being loaded into memory at once.
+// Errors are rethrown for the error middleware, which cuts the response off if rows were already sent.
+const streamExport = async (pool, req, res, { filename, sql, params, columns }) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  // Waits for the client to catch up (or go away); whichever event comes first removes the other listener
+  const write = (chunk) => res.write(chunk) || new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`, params);
+    res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    await write(format === 'json' ? '[' : `${columns.join(',')}\r\n`);
+
+    let first = true;
+    while (!res.destroyed) {
+      const batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_cursor`);
+      const chunk = batch.rows.map((row) => {
+        if (format === 'csv') return `${columns.map((c) => csvCell(row[c])).join(',')}\r\n`;
+        const json = JSON.stringify(Object.fromEntries(columns.map((c) => [c, row[c]])));
+        const separator = first ? '' : ',';
+        first = false;
+        return separator + json;
+      }).join('');
+      if (chunk) await write(chunk);
+      if (batch.rows.length < EXPORT_BATCH_SIZE) break;
+    }
+    await client.query('COMMIT');
+    res.end(format === 'json' ? ']' : '');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { csvCell, streamExport };
@@ -0,0 +1,46 @@
+// ==================== GEOCODING ====================
+// provider 'stub' (default) works offline for development and tests; 'nominatim' asks an OpenStreetMap
+// Nominatim server. Providers return { latitude, longitude }, or null when the address cannot be placed.
+const crypto = require('crypto');
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+const geocodeProviders = {
+  // The same address always lands on the same made-up point within about 50 km of stubCenter,
+  // so the "near me" search can be tried without network access or real addresses
+  stub: ({ stubCenter }) => ({
+    geocode: async (address) => {
+      const hash = crypto.createHash('sha256').update(address.toLowerCase()).digest();
+      const offset = (byte) => (hash.readUInt16BE(byte) / 0xffff - 0.5) * 0.9;
+      return { latitude: round(stubCenter.latitude + offset(0)), longitude: round(stubCenter.longitude + offset(2)) };
+    }
+  }),
+  // Public Nominatim servers require an identifying User-Agent and allow about one request per second.
+  // Store saves wait for the lookup, so it gives up after timeoutMs.
+  nominatim: ({ nominatim, timeoutMs }) => ({
+    geocode: async (address) => {
+      const params = new URLSearchParams({ q: address, format: 'json', limit: 1, ...(nominatim.email && { email: nominatim.email }) });
+      let res;
+      try {
+        res = await fetch(`${nominatim.url}/search?${params}`, {
+          headers: { 'User-Agent': 'store-rating-platform' },
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+      } catch (err) {
+        if (err.name === 'TimeoutError') throw new Error(`Nominatim did not answer within ${timeoutMs} ms`);
+        throw err;
+      }
+      if (!res.ok) throw new Error(`Nominatim answered ${res.status}`);
+      const [place] = await res.json();
+      return place ? { latitude: round(parseFloat(place.lat)), longitude: round(parseFloat(place.lon)) } : null;
+    }
+  })
+};
+
+// Returns { geocode(address) }; anything with that shape can be passed to createApp instead
+const createGeocoder = (geocoderConfig) => {
+  const provider = (geocodeProviders[geocoderConfig.provider] || geocodeProviders.stub)(geocoderConfig);
+  return { geocode: async (address) => (address && address.trim() ? provider.geocode(address.trim()) : null) };
+};
+
+module.exports = { createGeocoder };
@@ -0,0 +1,99 @@
+// ==================== IMPORT ====================
+const { AppError, toAppError } = require('./errors');
+
+const IMPORT_MAX_ROWS = 1000;
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and CRLF/LF line endings; blank lines are dropped
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((v) => v.trim()));
+};
+
+// Validates every row, then inserts the valid ones in one transaction with a savepoint per row so
+// database errors are reported per row too. Nothing is committed on a dry run or if any row failed.
+const runImport = async (pool, req, res, { columns, required, validateRow, insertRow }) => {
+  const dryRun = req.query.dryRun === 'true';
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    throw new AppError('BAD_REQUEST', 'Send the CSV file as a text/csv request body');
+  }
+
+  const [header, ...lines] = parseCsv(req.body.replace(/^\uFEFF/, ''));
+  if (!header) throw new AppError('BAD_REQUEST', 'CSV has no header row');
+  const keys = header.map((h) => columns[h.trim().toLowerCase().replace(/[\s_]/g, '')]);
+  const unknown = header.filter((h, i) => !keys[i]);
+  const missing = required.filter((k) => !keys.includes(k));
+  if (unknown.length) throw new AppError('BAD_REQUEST', `Unknown columns: ${unknown.join(', ')}`);
+  if (missing.length) throw new AppError('BAD_REQUEST', `Missing columns: ${missing.join(', ')}`);
+  if (!lines.length) throw new AppError('BAD_REQUEST', 'CSV has no data rows');
+  if (lines.length > IMPORT_MAX_ROWS) throw new AppError('BAD_REQUEST', `Max ${IMPORT_MAX_ROWS} rows per import`);
+
+  const seen = new Set();
+  const rows = lines.map((values, i) => {
+    const data = {};
+    keys.forEach((key, j) => { if (values[j]?.trim()) data[key] = values[j].trim(); });
+    const errors = validateRow(data, seen);
+    return { row: i + 2, data, errors };
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const row of rows.filter((r) => !r.errors.length)) {
+      await client.query('SAVEPOINT import_row');
+      try {
+        await insertRow(client, row.data, dryRun);
+        await client.query('RELEASE SAVEPOINT import_row');
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        row.errors.push(toAppError(err).message);
+      }
+    }
+
+    const failed = rows.filter((r) => r.errors.length).length;
+    const committed = !dryRun && failed === 0;
+    await client.query(committed ? 'COMMIT' : 'ROLLBACK');
+    res.status(committed ? 201 : 200).json({
+      dryRun,
+      committed,
+      total: rows.length,
+      imported: committed ? rows.length : 0,
+      failed,
+      rows: rows.map(({ row, data, errors }) => ({
+        row, name: data.name, email: data.email, status: errors.length ? 'error' : 'ok', errors
+      }))
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Flags an email already used earlier in the same file (seen is shared across the rows of one import)
+const checkDuplicate = (seen, scope, email, errors) => {
+  if (!email) return;
+  const key = `${scope}:${email.toLowerCase()}`;
+  if (seen.has(key)) errors.push(`Duplicate ${scope} email in file: ${email}`);
+  seen.add(key);
+};
+
+module.exports = { parseCsv, runImport, checkDuplicate };
@@ -0,0 +1,24 @@
+// ==================== MAIL ====================
+// transport 'file' (default) appends every message to a file for local development;
+// 'smtp' sends through an SMTP server, e.g. an SMTP catcher such as Mailpit or MailHog.
+const fs = require('fs');
+
+const mailTransports = {
+  file: ({ file }) => ({
+    send: (message) => fs.promises.appendFile(file,
+      `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\nDate: ${new Date().toISOString()}\n\n${message.text}\n\n----------\n\n`)
+  }),
+  smtp: ({ smtp }) => {
+    const nodemailer = require('nodemailer');
+    const transport = nodemailer.createTransport(smtp);
+    return { send: (message) => transport.sendMail(message) };
+  }
+};
+
+// Returns { send({ to, subject, text }) }; anything with that shape can be passed to createApp instead
+const createMailer = (mailConfig) => {
+  const transport = (mailTransports[mailConfig.transport] || mailTransports.file)(mailConfig);
+  return { send: (message) => transport.send({ from: mailConfig.from, ...message }) };
+};
+
+module.exports = { createMailer };
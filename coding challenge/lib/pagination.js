@@ -0,0 +1,8 @@
+// ==================== PAGINATION ====================
+const parsePagination = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), 100);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+module.exports = { parsePagination };
@@ -0,0 +1,12 @@
+// ==================== RATING HISTORY ====================
+const db = require('../db');
+const { parsePagination } = require('./pagination');
+
+// Answers with one page of history entries; filter is { ratingId }, { userId }, { storeId } or { storeIds }
+const sendRatingHistory = async (pool, req, res, filter) => {
+  const { page, limit, offset } = parsePagination(req.query);
+  const { items, total } = await db.ratings.history(pool, filter, { limit, offset });
+  res.json({ items, total, page, limit });
+};
+
+module.exports = { sendRatingHistory };
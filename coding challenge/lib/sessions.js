@@ -0,0 +1,37 @@
+// ==================== SESSIONS ====================
+// Access tokens are short-lived JWTs tied to a session row; the refresh token is random, stored hashed,
+// and replaced on every refresh. Presenting the previous refresh token again revokes the session.
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const { hashToken, randomToken } = require('./tokens');
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_DAYS = 30;
+
+const newRefreshToken = () => randomToken(48);
+
+const publicUser = (user) => ({
+  id: user.id, name: user.name, email: user.email, role: user.role,
+  email_verified: Boolean(user.email_verified_at), must_change_password: Boolean(user.must_change_password)
+});
+
+const createSessions = (pool, jwtSecret) => {
+  const signAccessToken = (userId, sessionId) =>
+    jwt.sign({ id: userId, sid: sessionId }, jwtSecret, { expiresIn: ACCESS_TOKEN_TTL });
+
+  // Starts a session and returns the token pair sent to the client
+  const createSession = async (user, req) => {
+    const refreshToken = newRefreshToken();
+    const session = await db.sessions.create(pool, {
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      userAgent: req.headers['user-agent']?.slice(0, 255) || null,
+      days: REFRESH_TOKEN_DAYS
+    });
+    return { token: signAccessToken(user.id, session.id), refreshToken };
+  };
+
+  return { signAccessToken, createSession };
+};
+
+module.exports = { createSessions, newRefreshToken, publicUser };
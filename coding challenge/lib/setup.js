@@ -0,0 +1,28 @@
+// ==================== FIRST-RUN SETUP ====================
+// While no admin exists the server is in setup mode: the first admin is created in the app with a one-time
+// token printed at startup (or taken from SETUP_TOKEN), or from the command line with `node server.js create-admin`.
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const { randomToken } = require('./tokens');
+
+const createAdmin = async (client, { name, email, password, address }) => {
+  const hashedPw = await bcrypt.hash(password, 10);
+  return db.users.create(client, { name, email, password: hashedPw, address, role: 'admin' });
+};
+
+// Returns the token that unlocks POST /api/setup, or null when an admin already exists
+const startSetupMode = async (pool, config) => {
+  try {
+    if (await db.users.adminExists(pool)) return null;
+    const token = config.setupToken || randomToken(24);
+    console.log(config.setupToken
+      ? 'No admin account exists. Open the app and create one with the SETUP_TOKEN from your environment.'
+      : `No admin account exists. Open the app and create one with this setup token: ${token}`);
+    return token;
+  } catch (err) {
+    console.error('Setup Check Error:', err.message);
+    return null;
+  }
+};
+
+module.exports = { createAdmin, startSetupMode };
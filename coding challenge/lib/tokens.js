@@ -0,0 +1,12 @@
+// ==================== TOKENS ====================
+// Random tokens sent to users (refresh tokens, email links) are stored only as SHA-256 hashes.
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// Constant-time comparison of two secrets of any length; `given` may come straight from a request body
+const tokensMatch = (given, expected) =>
+  typeof given === 'string' && Boolean(given && expected) && crypto.timingSafeEqual(Buffer.from(hashToken(given)), Buffer.from(hashToken(expected)));
+
+module.exports = { hashToken, randomToken, tokensMatch };
@@ -0,0 +1,39 @@
+// ==================== AUTH MIDDLEWARE ====================
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const { AppError } = require('../lib/errors');
+
+// Accounts flagged as using a default password can only change it or log out
+const PASSWORD_CHANGE_PATHS = ['/api/auth/password', '/api/auth/logout', '/api/auth/logout-all'];
+
+// Returns auth(roles): checks the access token and its session, then that the user has one of `roles` (any role if empty)
+const createAuthMiddleware = (pool, jwtSecret) => (roles = []) => {
+  return async (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return next(new AppError('AUTH_REQUIRED'));
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, jwtSecret);
+    } catch (err) {
+      return next(new AppError('INVALID_TOKEN'));
+    }
+
+    try {
+      const user = await db.sessions.findActiveUser(pool, decoded.id, decoded.sid);
+      if (!user) return next(new AppError('SESSION_EXPIRED'));
+      if (user.must_change_password && !PASSWORD_CHANGE_PATHS.includes(req.baseUrl + req.path)) {
+        return next(new AppError('PASSWORD_CHANGE_REQUIRED'));
+      }
+
+      if (roles.length && !roles.includes(user.role)) return next(new AppError('FORBIDDEN'));
+      req.user = user;
+      req.sessionId = decoded.sid;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,35 @@
+// ==================== ERROR MIDDLEWARE ====================
+const crypto = require('crypto');
+const { AppError, toAppError } = require('../lib/errors');
+
+// Reuses the caller's X-Request-Id (e.g. from a proxy) when it looks safe to log, otherwise makes one up.
+// The id is echoed in the response header and in every error body so a report can be matched to the logs.
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// Mounted after the API routers so unknown endpoints get a JSON error instead of Express's HTML page
+const notFound = (req, res, next) => next(new AppError('ROUTE_NOT_FOUND'));
+
+// Must stay last, and keep all four arguments: that is how Express tells an error handler apart.
+// Server errors are logged with the request id; the client only sees the generic message.
+const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+  if (error.status >= 500) console.error(`[${req.id}] ${req.method} ${req.originalUrl}:`, err);
+  // A streamed response (e.g. an export) has already started; all we can do is cut it off
+  if (res.headersSent) return res.destroy();
+
+  if (error.details?.retryAfter) res.set('Retry-After', String(error.details.retryAfter));
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    requestId: req.id,
+    ...(error.fields && { fields: error.fields }),
+    ...error.details
+  });
+};
+
+module.exports = { requestId, notFound, errorHandler };
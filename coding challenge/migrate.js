@@ -0,0 +1,91 @@
+// ==================== MIGRATE.JS ====================
+// Each file in ./migrations is named <version>_<name>.js and exports async up(client) and down(client).
+// Every migration runs in its own transaction and is recorded in schema_migrations; an advisory lock
+// stops two processes from migrating the same database at once.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_ID = 4817203;
+
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map((file) => file.match(/^(\d+)_(\w+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, ...require(path.join(MIGRATIONS_DIR, file)) }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+  migrations.forEach((m, i) => {
+    if (i > 0 && Number(m.version) === Number(migrations[i - 1].version)) {
+      throw new Error(`Duplicate migration version ${m.version}`);
+    }
+  });
+  return migrations;
+};
+
+const withMigrationLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+const appliedMigrations = async (client) =>
+  (await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')).rows;
+
+const runStep = async (client, migration, direction) => {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`);
+  }
+};
+
+// Applies every pending migration in version order and returns the ones applied
+const migrate = (pool) => withMigrationLock(pool, async (client) => {
+  const applied = new Set((await appliedMigrations(client)).map((m) => m.version));
+  const pending = loadMigrations().filter((m) => !applied.has(m.version));
+  for (const migration of pending) await runStep(client, migration, 'up');
+  return pending;
+});
+
+// Reverts the last `steps` applied migrations, newest first, and returns them
+const rollbackMigrations = (pool, steps = 1) => withMigrationLock(pool, async (client) => {
+  const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+  const targets = (await appliedMigrations(client)).reverse().slice(0, steps);
+  const missing = targets.find((m) => !migrations.has(m.version));
+  if (missing) throw new Error(`Migration file for ${missing.version}_${missing.name} not found`);
+  for (const { version } of targets) await runStep(client, migrations.get(version), 'down');
+  return targets;
+});
+
+// Every known migration with its applied_at (null while pending); applied versions without a file are flagged missing
+const migrationStatus = (pool) => withMigrationLock(pool, async (client) => {
+  const applied = new Map((await appliedMigrations(client)).map((m) => [m.version, m]));
+  const files = loadMigrations();
+  const known = new Set(files.map((m) => m.version));
+  return [
+    ...files.map(({ version, name }) => ({ version, name, applied_at: applied.get(version)?.applied_at || null })),
+    ...[...applied.values()].filter((m) => !known.has(m.version)).map((m) => ({ ...m, missing: true }))
+  ];
+});
+
+module.exports = { migrate, rollbackMigrations, migrationStatus };
@@ -0,0 +1,135 @@
+// Initial schema: everything the server used to create on startup before migrations existed.
+// Written with IF NOT EXISTS so databases created by earlier versions can adopt it as their baseline.
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(60) NOT NULL CHECK (LENGTH(name) >= 20),
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password VARCHAR(255) NOT NULL,
+      address VARCHAR(400),
+      role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('admin', 'user', 'store_owner')),
+      store_id INTEGER,
+      email_verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      must_change_password BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Accounts created by admins, imports and earlier versions count as verified; self-registration inserts NULL
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false;
+
+    CREATE TABLE IF NOT EXISTS stores (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(60) NOT NULL CHECK (LENGTH(name) >= 20),
+      email VARCHAR(255) UNIQUE NOT NULL,
+      address VARCHAR(400),
+      owner_id INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_store') THEN
+        ALTER TABLE users ADD CONSTRAINT fk_store 
+          FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE SET NULL;
+      END IF;
+    END $$;
+
+    CREATE TABLE IF NOT EXISTS ratings (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+      rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+      review VARCHAR(1000),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, store_id)
+    );
+
+    ALTER TABLE ratings ADD COLUMN IF NOT EXISTS review VARCHAR(1000);
+
+    CREATE TABLE IF NOT EXISTS rating_replies (
+      id SERIAL PRIMARY KEY,
+      rating_id INTEGER UNIQUE NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+      owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      reply VARCHAR(1000) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS rating_history (
+      id SERIAL PRIMARY KEY,
+      rating_id INTEGER REFERENCES ratings(id) ON DELETE SET NULL,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+      action VARCHAR(20) NOT NULL,
+      previous_rating INTEGER,
+      rating INTEGER,
+      previous_review VARCHAR(1000),
+      review VARCHAR(1000),
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+      previous_token_hash VARCHAR(64),
+      user_agent VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS email_verifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS login_throttles (
+      scope VARCHAR(10) NOT NULL,
+      identifier VARCHAR(255) NOT NULL,
+      failures INTEGER NOT NULL DEFAULT 0,
+      last_failed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_until TIMESTAMP,
+      PRIMARY KEY (scope, identifier)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
+
+    CREATE INDEX IF NOT EXISTS idx_rating_history_rating ON rating_history(rating_id);
+    CREATE INDEX IF NOT EXISTS idx_rating_history_store ON rating_history(store_id);
+    CREATE INDEX IF NOT EXISTS idx_rating_history_user ON rating_history(user_id);
+
+    -- Ratings given before history was recorded start with a single 'created' entry
+    INSERT INTO rating_history (rating_id, user_id, store_id, action, rating, review, changed_at)
+      SELECT r.id, r.user_id, r.store_id, 'created', r.rating, r.review, r.created_at FROM ratings r
+      WHERE NOT EXISTS (SELECT 1 FROM rating_history h WHERE h.rating_id = r.id);
+
+    CREATE INDEX IF NOT EXISTS idx_ratings_store ON ratings(store_id);
+    CREATE INDEX IF NOT EXISTS idx_ratings_user ON ratings(user_id);
+    CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS login_throttles, password_resets, email_verifications, sessions,
+      rating_history, rating_replies, ratings, stores, users CASCADE;
+  `);
+};
@@ -0,0 +1,14 @@
+const bcrypt = require('bcryptjs');
+
+// Earlier versions seeded admin@system.com / Admin@123; if that password is still in use it must be changed
+exports.up = async (client) => {
+  const legacyAdmin = await client.query(
+    "SELECT id, password FROM users WHERE email = 'admin@system.com' AND NOT must_change_password"
+  );
+  if (legacyAdmin.rows[0] && await bcrypt.compare('Admin@123', legacyAdmin.rows[0].password)) {
+    await client.query('UPDATE users SET must_change_password = true WHERE id = $1', [legacyAdmin.rows[0].id]);
+  }
+};
+
+// The flag is cleared by changing the password, so there is nothing to undo
+exports.down = async () => {};
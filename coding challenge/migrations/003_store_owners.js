@@ -0,0 +1,37 @@
+// Store ownership becomes many-to-many: an owner can run several stores and a store can have several owners.
+// Existing links from users.store_id and stores.owner_id are copied into store_owners before both columns go.
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE store_owners (
+      store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (store_id, user_id)
+    );
+    CREATE INDEX store_owners_user_id_idx ON store_owners (user_id);
+
+    INSERT INTO store_owners (store_id, user_id)
+      SELECT s.id, s.owner_id FROM stores s JOIN users u ON u.id = s.owner_id WHERE u.role = 'store_owner'
+      UNION
+      SELECT store_id, id FROM users WHERE store_id IS NOT NULL AND role = 'store_owner';
+
+    ALTER TABLE users DROP COLUMN store_id;
+    ALTER TABLE stores DROP COLUMN owner_id;
+  `);
+};
+
+// The old columns hold one link each, so only the earliest assignment of every owner and store is kept
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN store_id INTEGER;
+    ALTER TABLE stores ADD COLUMN owner_id INTEGER REFERENCES users(id);
+    ALTER TABLE users ADD CONSTRAINT fk_store FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE SET NULL;
+
+    UPDATE users u SET store_id = (SELECT so.store_id FROM store_owners so WHERE so.user_id = u.id
+      ORDER BY so.created_at, so.store_id LIMIT 1);
+    UPDATE stores s SET owner_id = (SELECT so.user_id FROM store_owners so WHERE so.store_id = s.id
+      ORDER BY so.created_at, so.user_id LIMIT 1);
+
+    DROP TABLE store_owners;
+  `);
+};
@@ -0,0 +1,20 @@
+// Indexes for the store search: full-text on name (weight A) and address (weight B), and trigrams for typos
+// and partial words. The indexed expressions must stay identical to SEARCH_VECTOR and SEARCH_TEXT in db/stores.js.
+exports.up = async (client) => {
+  await client.query(`
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+    CREATE INDEX stores_search_vector_idx ON stores USING GIN (
+      (setweight(to_tsvector('english', name), 'A') || setweight(to_tsvector('english', COALESCE(address, '')), 'B'))
+    );
+    CREATE INDEX stores_search_text_trgm_idx ON stores USING GIN ((name || ' ' || COALESCE(address, '')) gin_trgm_ops);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS stores_search_text_trgm_idx;
+    DROP INDEX IF EXISTS stores_search_vector_idx;
+    DROP EXTENSION IF EXISTS pg_trgm;
+  `);
+};
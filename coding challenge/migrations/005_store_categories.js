@@ -0,0 +1,30 @@
+// Admin-managed categories (one per store, optional) and free-form tags (any number per store).
+// Category names are unique regardless of case; tags are stored lower-case by db/stores.js.
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE categories (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE UNIQUE INDEX categories_name_key ON categories (LOWER(name));
+
+    ALTER TABLE stores ADD COLUMN category_id INTEGER REFERENCES categories(id);
+    CREATE INDEX stores_category_id_idx ON stores (category_id);
+
+    CREATE TABLE store_tags (
+      store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+      tag VARCHAR(30) NOT NULL,
+      PRIMARY KEY (store_id, tag)
+    );
+    CREATE INDEX store_tags_tag_idx ON store_tags (tag);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE store_tags;
+    ALTER TABLE stores DROP COLUMN category_id;
+    DROP TABLE categories;
+  `);
+};
@@ -0,0 +1,18 @@
+// Optional store coordinates for the "near me" search. Both are set or both are empty; the latitude index lets
+// radius searches skip stores outside the search band before computing distances.
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE stores
+      ADD COLUMN latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+      ADD COLUMN longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+      ADD CONSTRAINT stores_location_check CHECK ((latitude IS NULL) = (longitude IS NULL));
+    CREATE INDEX stores_latitude_idx ON stores (latitude);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS stores_latitude_idx;
+    ALTER TABLE stores DROP COLUMN latitude, DROP COLUMN longitude;
+  `);
+};
@@ -0,0 +1,355 @@
+// ==================== ADMIN ROUTES ====================
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const { AppError, assertValid, assertSingleValues, asyncHandler } = require('../lib/errors');
+const { streamExport } = require('../lib/export');
+const { runImport, checkDuplicate } = require('../lib/import');
+const { clearLoginFailures } = require('../lib/loginThrottle');
+const { parsePagination } = require('../lib/pagination');
+const { sendRatingHistory } = require('../lib/ratingHistory');
+const { schemas, validate } = require('../shared/validation');
+
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' });
+
+// Makes an existing account an owner of the store, promoting a normal user. Run it inside a transaction.
+const assignOwner = async (client, storeId, user) => {
+  if (!user) throw new AppError('NOT_FOUND', 'User not found');
+  if (user.role === 'admin') throw new AppError('BAD_REQUEST', 'Admins cannot own stores');
+
+  if (!(await db.storeOwners.assign(client, storeId, user.id))) {
+    throw new AppError('CONFLICT', 'This user already owns the store');
+  }
+  if (user.role !== 'store_owner') await db.users.update(client, user.id, { role: 'store_owner' });
+};
+
+// Latitude and longitude are set, or cleared with null, together
+const assertLocationPair = ({ latitude, longitude }) => {
+  if ((latitude === undefined) === (longitude === undefined) && (latitude === null) === (longitude === null)) return;
+  const message = 'Give both latitude and longitude, or neither';
+  throw new AppError('VALIDATION_FAILED', message, {
+    fields: latitude === undefined || latitude === null ? { latitude: message } : { longitude: message }
+  });
+};
+
+const pickFields = (body, names) => {
+  const fields = {};
+  names.forEach((f) => {
+    if (body[f] !== undefined) fields[f] = body[f];
+  });
+  return fields;
+};
+
+module.exports = ({ pool, auth, geocoder }) => {
+  const router = express.Router();
+  router.use(auth(['admin']));
+
+  // Coordinates for a store saved without any. A geocoder that is down or cannot place the address
+  // leaves the store without a location instead of failing the save.
+  const locate = async (address) => {
+    try {
+      return (await geocoder.geocode(address)) || { latitude: null, longitude: null };
+    } catch (err) {
+      console.warn(`Geocoding "${address}" failed:`, err.message);
+      return { latitude: null, longitude: null };
+    }
+  };
+
+  // Totals plus activity over the last `days` days (default 30, max 365) and store/rater leaderboards
+  router.get('/dashboard', asyncHandler(async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    res.json(await db.stats.adminDashboard(pool, days));
+  }));
+
+  // ==================== USERS ====================
+  router.get('/users', asyncHandler(async (req, res) => {
+    const { page, limit, offset } = parsePagination(req.query);
+    const { items, total } = await db.users.list(pool, req.query, { limit, offset });
+    res.json({ items, total, page, limit });
+  }));
+
+  router.get('/users/export', asyncHandler((req, res) => {
+    const { sql, params } = db.users.listQuery(req.query);
+    return streamExport(pool, req, res, {
+      filename: 'users', sql, params, columns: ['id', 'name', 'email', 'address', 'role', 'stores', 'rating']
+    });
+  }));
+
+  router.post('/users', asyncHandler(async (req, res) => {
+    const { name, email, password, address, role = 'user' } = req.body;
+    assertValid(schemas.user, { name, email, password, address, role });
+
+    const hashedPw = await bcrypt.hash(password, 10);
+    const user = await db.users.create(pool, { name, email, password: hashedPw, address, role });
+    res.status(201).json({ id: user.id, name: user.name, email: user.email, address: user.address, role: user.role });
+  }));
+
+  router.get('/users/:id', asyncHandler(async (req, res) => {
+    const user = await db.users.findDetails(pool, req.params.id);
+    if (!user) throw new AppError('NOT_FOUND', 'User not found');
+    res.json(user);
+  }));
+
+  // PUT replaces name/email/address/role, PATCH updates only the fields sent. An empty password keeps the current one.
+  // Moving a store owner to another role detaches them from their stores.
+  const updateUser = (isPatch) => asyncHandler(async (req, res) => {
+    const fields = pickFields(req.body, ['name', 'email', 'password', 'address', 'role']);
+    if (!isPatch && fields.role === undefined) fields.role = 'user';
+    assertValid(schemas.user, fields, { partial: isPatch, optional: ['password'] });
+    if (!Object.keys(fields).length) throw new AppError('BAD_REQUEST', 'No fields to update');
+    if (String(req.user.id) === req.params.id && fields.role && fields.role !== 'admin') {
+      throw new AppError('CANNOT_MODIFY_SELF', 'Cannot change your own role');
+    }
+
+    const user = await db.withTransaction(pool, async (client) => {
+      const existing = await db.users.findForUpdate(client, req.params.id);
+      if (!existing) return null;
+
+      if (fields.password) fields.password = await bcrypt.hash(fields.password, 10);
+      else delete fields.password;
+
+      const detachStores = existing.role === 'store_owner' && fields.role && fields.role !== 'store_owner';
+      const updated = await db.users.update(client, req.params.id, fields, { detachStores });
+      if (fields.password) await db.sessions.revokeAllForUser(client, req.params.id);
+      return updated;
+    });
+    if (!user) throw new AppError('NOT_FOUND', 'User not found');
+    res.json(user);
+  });
+
+  router.put('/users/:id', updateUser(false));
+  router.patch('/users/:id', updateUser(true));
+
+  router.delete('/users/:id', asyncHandler(async (req, res) => {
+    if (String(req.user.id) === req.params.id) throw new AppError('CANNOT_MODIFY_SELF', 'Cannot delete your own account');
+
+    const removed = await db.withTransaction(pool, (client) => db.users.remove(client, req.params.id));
+    if (!removed) throw new AppError('NOT_FOUND', 'User not found');
+    res.json({ message: 'User deleted' });
+  }));
+
+  router.get('/users/:id/history', asyncHandler((req, res) => (
+    sendRatingHistory(pool, req, res, { userId: req.params.id })
+  )));
+
+  // Accounts currently locked out by failed logins
+  router.get('/locked-users', asyncHandler(async (req, res) => {
+    res.json(await db.loginThrottles.lockedAccounts(pool));
+  }));
+
+  router.post('/users/:id/unlock', asyncHandler(async (req, res) => {
+    const user = await db.users.findById(pool, req.params.id);
+    if (!user) throw new AppError('NOT_FOUND', 'User not found');
+    await clearLoginFailures(pool, user.email);
+    res.json({ message: 'Account unlocked' });
+  }));
+
+  // ==================== STORES ====================
+  // Looks up coordinates for the store forms without saving anything
+  router.get('/geocode', asyncHandler(async (req, res) => {
+    assertSingleValues(req.query, ['address']);
+    const address = (req.query.address || '').trim();
+    if (!address) throw new AppError('VALIDATION_FAILED', 'Address is required', { fields: { address: 'Address is required' } });
+
+    let location;
+    try {
+      location = await geocoder.geocode(address);
+    } catch (err) {
+      throw new AppError('GEOCODING_FAILED', null, { details: { reason: err.message } });
+    }
+    if (!location) throw new AppError('NOT_FOUND', 'No location found for this address');
+    res.json(location);
+  }));
+
+  // With { ownerId } the store goes to that existing account; otherwise the owner* fields create a new one.
+  // Without latitude and longitude the store's address is geocoded.
+  router.post('/stores', asyncHandler(async (req, res) => {
+    const withLocation = async (body) => {
+      assertLocationPair(body);
+      const hasLocation = body.latitude !== undefined && body.latitude !== null;
+      return hasLocation ? body : { ...body, ...(await locate(body.address)) };
+    };
+
+    if (req.body.ownerId !== undefined) {
+      assertValid(schemas.store, req.body);
+      const fields = await withLocation(req.body);
+      const store = await db.withTransaction(pool, async (client) => {
+        const store = await db.stores.create(client, fields);
+        await assignOwner(client, store.id, await db.users.findForUpdate(client, req.body.ownerId));
+        return store;
+      });
+      return res.status(201).json(store);
+    }
+
+    assertValid(schemas.storeWithOwner, req.body);
+    const fields = await withLocation(req.body);
+
+    const hashedPw = await bcrypt.hash(req.body.ownerPassword, 10);
+    try {
+      const store = await db.withTransaction(pool, (client) => db.stores.createWithOwner(client, fields, hashedPw));
+      res.status(201).json(store);
+    } catch (err) {
+      // The clashing email here belongs to the new owner, not the store
+      if (err.constraint === 'users_email_key') {
+        throw new AppError('EMAIL_EXISTS', 'Owner email already exists', { fields: { ownerEmail: 'Email already exists' } });
+      }
+      throw err;
+    }
+  }));
+
+  router.get('/stores', asyncHandler(async (req, res) => {
+    const { page, limit, offset } = parsePagination(req.query);
+    const { items, total } = await db.stores.listForAdmin(pool, req.query, { limit, offset });
+    res.json({ items, total, page, limit });
+  }));
+
+  router.get('/stores/export', asyncHandler((req, res) => {
+    const { sql, params } = db.stores.adminListQuery(req.query);
+    return streamExport(pool, req, res, {
+      filename: 'stores', sql, params,
+      columns: [
+        'id', 'name', 'email', 'address', 'latitude', 'longitude', 'category', 'tags', 'owners', 'rating', 'rating_count', 'created_at'
+      ]
+    });
+  }));
+
+  // PUT replaces name/email/address, PATCH updates only the fields sent; categoryId, tags and the coordinates
+  // are only changed when sent. A new address without coordinates is geocoded again.
+  // Owners are managed under /stores/:id/owners.
+  const updateStore = (isPatch) => asyncHandler(async (req, res) => {
+    const fields = pickFields(req.body, ['name', 'email', 'address', 'latitude', 'longitude', 'categoryId', 'tags']);
+    assertValid(schemas.store, fields, { partial: isPatch });
+    assertLocationPair(fields);
+    if (!Object.keys(fields).length) throw new AppError('BAD_REQUEST', 'No fields to update');
+
+    if (fields.address !== undefined && fields.latitude === undefined) {
+      const current = await db.stores.findById(pool, req.params.id);
+      if (current && current.address !== fields.address) Object.assign(fields, await locate(fields.address));
+    }
+
+    const store = await db.withTransaction(pool, (client) => db.stores.update(client, req.params.id, fields));
+    if (!store) throw new AppError('NOT_FOUND', 'Store not found');
+    res.json(store);
+  });
+
+  router.put('/stores/:id', updateStore(false));
+  router.patch('/stores/:id', updateStore(true));
+
+  router.delete('/stores/:id', asyncHandler(async (req, res) => {
+    const removed = await db.withTransaction(pool, (client) => db.stores.remove(client, req.params.id));
+    if (!removed) throw new AppError('NOT_FOUND', 'Store not found');
+    res.json({ message: 'Store deleted' });
+  }));
+
+  router.get('/stores/:id/history', asyncHandler((req, res) => (
+    sendRatingHistory(pool, req, res, { storeId: req.params.id })
+  )));
+
+  // ==================== STORE OWNERS ====================
+  router.get('/stores/:id/owners', asyncHandler(async (req, res) => {
+    if (!(await db.stores.findById(pool, req.params.id))) throw new AppError('NOT_FOUND', 'Store not found');
+    res.json(await db.storeOwners.listForStore(pool, req.params.id));
+  }));
+
+  // Adds an existing account, given by { userId } or { email }, as an owner. Normal users become store owners.
+  router.post('/stores/:id/owners', asyncHandler(async (req, res) => {
+    const { userId, email } = req.body;
+    if (!userId && !email) {
+      throw new AppError('VALIDATION_FAILED', 'Choose a user', { fields: { email: 'Choose a user' } });
+    }
+
+    await db.withTransaction(pool, async (client) => {
+      if (!(await db.stores.findById(client, req.params.id))) throw new AppError('NOT_FOUND', 'Store not found');
+      const user = userId ? await db.users.findForUpdate(client, userId) : await db.users.findByEmail(client, email);
+      await assignOwner(client, req.params.id, user);
+    });
+    res.status(201).json(await db.storeOwners.listForStore(pool, req.params.id));
+  }));
+
+  // An owner left without any store goes back to being a normal user
+  router.delete('/stores/:id/owners/:userId', asyncHandler(async (req, res) => {
+    const removed = await db.withTransaction(pool, async (client) => {
+      const removed = await db.storeOwners.unassign(client, req.params.id, req.params.userId);
+      if (removed) await db.storeOwners.demoteWithoutStores(client, [removed.user_id]);
+      return removed;
+    });
+    if (!removed) throw new AppError('NOT_FOUND', 'This user does not own the store');
+    res.json(await db.storeOwners.listForStore(pool, req.params.id));
+  }));
+
+  // ==================== CATEGORIES ====================
+  router.get('/categories', asyncHandler(async (req, res) => {
+    res.json(await db.categories.list(pool));
+  }));
+
+  router.post('/categories', asyncHandler(async (req, res) => {
+    assertValid(schemas.category, req.body);
+    res.status(201).json(await db.categories.create(pool, req.body.name.trim()));
+  }));
+
+  router.put('/categories/:id', asyncHandler(async (req, res) => {
+    assertValid(schemas.category, req.body);
+    const category = await db.categories.rename(pool, req.params.id, req.body.name.trim());
+    if (!category) throw new AppError('NOT_FOUND', 'Category not found');
+    res.json(category);
+  }));
+
+  router.delete('/categories/:id', asyncHandler(async (req, res) => {
+    let removed;
+    try {
+      removed = await db.categories.remove(pool, req.params.id);
+    } catch (err) {
+      if (err.constraint === 'stores_category_id_fkey') {
+        throw new AppError('STILL_REFERENCED', 'Move the stores in this category to another one first');
+      }
+      throw err;
+    }
+    if (!removed) throw new AppError('NOT_FOUND', 'Category not found');
+    res.json({ message: 'Category deleted' });
+  }));
+
+  // ==================== IMPORT ====================
+  // Columns: name, email, password, address, role (user or admin, defaults to user)
+  router.post('/import/users', csvBody, asyncHandler((req, res) => (
+    runImport(pool, req, res, {
+      columns: { name: 'name', email: 'email', password: 'password', address: 'address', role: 'role' },
+      required: ['name', 'email', 'password'],
+      validateRow: (data, seen) => {
+        const errors = Object.values(validate(schemas.user, data, { optional: ['role'] }));
+        if (data.role && !['user', 'admin'].includes(data.role)) errors.push('Role must be user or admin');
+        checkDuplicate(seen, 'user', data.email, errors);
+        return errors;
+      },
+      insertRow: async (client, data, dryRun) => {
+        const hashedPw = dryRun ? '' : await bcrypt.hash(data.password, 10);
+        await db.users.create(client, { ...data, password: hashedPw, role: data.role || 'user' });
+      }
+    })
+  )));
+
+  // Columns: name, email, address, owner_name, owner_email, owner_password, owner_address
+  router.post('/import/stores', csvBody, asyncHandler((req, res) => (
+    runImport(pool, req, res, {
+      columns: {
+        name: 'name', email: 'email', address: 'address', ownername: 'ownerName',
+        owneremail: 'ownerEmail', ownerpassword: 'ownerPassword', owneraddress: 'ownerAddress'
+      },
+      required: ['name', 'email', 'ownerName', 'ownerEmail', 'ownerPassword'],
+      validateRow: (data, seen) => {
+        const errors = Object.entries(validate(schemas.storeWithOwner, data))
+          .map(([field, message]) => field.startsWith('owner') ? `Owner: ${message}` : message);
+        checkDuplicate(seen, 'store', data.email, errors);
+        checkDuplicate(seen, 'user', data.ownerEmail, errors);
+        return errors;
+      },
+      // Rows are geocoded like stores created one by one, except on a dry run
+      insertRow: async (client, data, dryRun) => {
+        const hashedPw = dryRun ? '' : await bcrypt.hash(data.ownerPassword, 10);
+        const location = dryRun ? {} : await locate(data.address);
+        await db.stores.createWithOwner(client, { ...data, ...location }, hashedPw);
+      }
+    })
+  )));
+
+  return router;
+};
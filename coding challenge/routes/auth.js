@@ -0,0 +1,187 @@
+// ==================== AUTH ROUTES ====================
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const { newRefreshToken, publicUser } = require('../lib/sessions');
+const { hashToken, randomToken } = require('../lib/tokens');
+const { DUMMY_PASSWORD_HASH, throttleKeys, checkLoginThrottle, recordLoginFailure, clearLoginFailures } = require('../lib/loginThrottle');
+const { AppError, assertValid, asyncHandler } = require('../lib/errors');
+const { schemas } = require('../shared/validation');
+
+const VERIFY_TOKEN_HOURS = 24;
+const VERIFY_RESEND_SECONDS = 60;
+const RESET_TOKEN_MINUTES = 60;
+const RESET_RESEND_SECONDS = 60;
+
+module.exports = ({ pool, config, mailer, auth, sessions }) => {
+  const router = express.Router();
+
+  // Replaces any outstanding link with a new one
+  const sendVerificationEmail = async (user) => {
+    const token = randomToken();
+    await db.emailVerifications.replace(pool, user.id, hashToken(token), VERIFY_TOKEN_HOURS);
+    await mailer.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name},\n\nPlease confirm your email address to start rating stores. ` +
+        `The link expires in ${VERIFY_TOKEN_HOURS} hours.\n\n${config.appUrl}/?verifyToken=${token}\n\n` +
+        'If you did not create an account, you can ignore this email.'
+    });
+  };
+
+  router.post('/register', asyncHandler(async (req, res) => {
+    const { name, email, password, address } = req.body;
+    assertValid(schemas.register, { name, email, password, address });
+
+    const hashedPw = await bcrypt.hash(password, 10);
+    const user = await db.users.create(pool, { name, email, password: hashedPw, address, verified: false });
+    await sendVerificationEmail(user);
+    const tokens = await sessions.createSession(user, req);
+    res.status(201).json({ user: publicUser(user), ...tokens });
+  }));
+
+  router.post('/login', asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+      throw new AppError('BAD_REQUEST', 'Email and password are required');
+    }
+    const keys = throttleKeys(email, req);
+    await checkLoginThrottle(pool, keys);
+
+    const user = await db.users.findByEmail(pool, email);
+    const valid = await bcrypt.compare(password, user?.password || DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      await recordLoginFailure(pool, keys);
+      throw new AppError('INVALID_CREDENTIALS');
+    }
+
+    await clearLoginFailures(pool, email);
+    const tokens = await sessions.createSession(user, req);
+    res.json({ user: publicUser(user), ...tokens });
+  }));
+
+  router.post('/refresh', asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) throw new AppError('AUTH_REQUIRED', 'No refresh token provided');
+    if (typeof refreshToken !== 'string') throw new AppError('SESSION_EXPIRED');
+    const hash = hashToken(refreshToken);
+
+    const session = await db.sessions.findByTokenHash(pool, hash);
+    if (!session || session.revoked_at || session.expires_at < new Date()) throw new AppError('SESSION_EXPIRED');
+    if (session.refresh_token_hash !== hash) {
+      await db.sessions.revoke(pool, session.id);
+      throw new AppError('SESSION_EXPIRED');
+    }
+
+    const nextToken = newRefreshToken();
+    const rotated = await db.sessions.rotate(pool, session.id, hash, hashToken(nextToken));
+    if (!rotated) throw new AppError('SESSION_EXPIRED');
+
+    const user = await db.users.findById(pool, session.user_id);
+    res.json({ user: publicUser(user), token: sessions.signAccessToken(session.user_id, session.id), refreshToken: nextToken });
+  }));
+
+  router.post('/logout', auth(), asyncHandler(async (req, res) => {
+    await db.sessions.revoke(pool, req.sessionId);
+    res.json({ message: 'Logged out' });
+  }));
+
+  router.post('/logout-all', auth(), asyncHandler(async (req, res) => {
+    await db.sessions.revokeAllForUser(pool, req.user.id);
+    res.json({ message: 'Logged out of all devices' });
+  }));
+
+  // ==================== EMAIL VERIFICATION ====================
+  // Opening the same link again after it worked still reports success
+  router.post('/verify-email', asyncHandler(async (req, res) => {
+    const { token } = req.body;
+    const invalid = new AppError('INVALID_OR_EXPIRED_LINK', 'Invalid or expired verification link');
+    if (!token || typeof token !== 'string') throw invalid;
+
+    const verification = await db.emailVerifications.findValid(pool, hashToken(token));
+    if (!verification || (verification.used_at && !verification.email_verified_at)) throw invalid;
+    if (!verification.used_at) {
+      await db.emailVerifications.markUsed(pool, verification.id);
+      await db.users.markEmailVerified(pool, verification.user_id);
+    }
+    res.json({ message: 'Email verified' });
+  }));
+
+  // Same response whatever the email, and at most one new link per minute per account
+  router.post('/resend-verification', asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    if (!email) throw new AppError('VALIDATION_FAILED', 'Email is required', { fields: { email: 'Email is required' } });
+
+    const user = await db.users.findAwaitingVerification(pool, email, VERIFY_RESEND_SECONDS);
+    if (user) await sendVerificationEmail(user);
+    res.json({ message: 'If that account still needs verifying, a new link has been sent' });
+  }));
+
+  // ==================== PASSWORD RESET ====================
+  // At most one link per minute per account, so the endpoint cannot be used to flood an inbox
+  const sendResetEmail = async (email) => {
+    const user = await db.users.findForPasswordReset(pool, email, RESET_RESEND_SECONDS);
+    if (!user) return;
+
+    const token = randomToken();
+    await db.passwordResets.replace(pool, user.id, hashToken(token), RESET_TOKEN_MINUTES);
+    await mailer.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${RESET_TOKEN_MINUTES} minutes ` +
+        `and can only be used once.\n\n${config.appUrl}/?resetToken=${token}\n\nIf you did not ask for this, you can ignore this email.`
+    });
+  };
+
+  // Answers before looking the email up, so neither the response nor its timing or a mail failure reveals
+  // which emails have accounts; failures are only logged
+  router.post('/forgot-password', asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      throw new AppError('VALIDATION_FAILED', 'Email is required', { fields: { email: 'Email is required' } });
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+    sendResetEmail(email).catch((err) => console.error(`[${req.id}] Password reset email failed:`, err));
+  }));
+
+  // Sets the new password, burns the token and signs the user out everywhere
+  router.post('/reset-password', asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
+    assertValid(schemas.newPassword, { newPassword });
+    const invalid = new AppError('INVALID_OR_EXPIRED_LINK', 'Invalid or expired reset link');
+    if (!token || typeof token !== 'string') throw invalid;
+
+    const user = await db.withTransaction(pool, async (client) => {
+      const userId = await db.passwordResets.consume(client, hashToken(token));
+      if (!userId) return null;
+      const hashedPw = await bcrypt.hash(newPassword, 10);
+      const updated = await db.users.setPassword(client, userId, hashedPw);
+      await db.sessions.revokeAllForUser(client, userId);
+      return updated;
+    });
+    if (!user) throw invalid;
+    await clearLoginFailures(pool, user.email);
+    res.json({ message: 'Password has been reset' });
+  }));
+
+  router.put('/password', auth(), asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    assertValid(schemas.newPassword, { newPassword });
+
+    const valid = typeof currentPassword === 'string' && await bcrypt.compare(currentPassword, req.user.password);
+    if (!valid) {
+      throw new AppError('CURRENT_PASSWORD_INCORRECT', null, { fields: { currentPassword: 'Current password incorrect' } });
+    }
+    if (newPassword === currentPassword) {
+      throw new AppError('PASSWORD_UNCHANGED', null, { fields: { newPassword: 'New password must be different' } });
+    }
+
+    const hashedPw = await bcrypt.hash(newPassword, 10);
+    await db.users.setPassword(pool, req.user.id, hashedPw);
+    await db.sessions.revokeAllForUser(pool, req.user.id, req.sessionId);
+    res.json({ message: 'Password updated' });
+  }));
+
+  return router;
+};
@@ -0,0 +1,94 @@
+// ==================== STORE OWNER ROUTES ====================
+const express = require('express');
+const db = require('../db');
+const { streamExport } = require('../lib/export');
+const { AppError, assertValid, asyncHandler } = require('../lib/errors');
+const { sendRatingHistory } = require('../lib/ratingHistory');
+const { schemas } = require('../shared/validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = ({ pool, auth }) => {
+  const router = express.Router();
+  router.use(auth(['store_owner']));
+  // Owner routes only see the caller's own stores. ?storeId= narrows them to one of those stores;
+  // without it (or with storeId=all) the figures cover every store the caller owns.
+  router.use((req, res, next) => {
+    if (!req.user.store_ids.length) return next(new AppError('NO_STORE_ASSIGNED'));
+    const { storeId = 'all' } = req.query;
+    if (storeId === 'all') req.storeIds = req.user.store_ids;
+    else if (req.user.store_ids.includes(Number(storeId))) req.storeIds = [Number(storeId)];
+    else return next(new AppError('NOT_FOUND', 'Store not found'));
+    next();
+  });
+
+  // The caller's stores with their average rating, for the store switcher
+  router.get('/stores', asyncHandler(async (req, res) => {
+    res.json(await db.storeOwners.storesForUser(pool, req.user.id));
+  }));
+
+  router.get('/dashboard', asyncHandler(async (req, res) => {
+    const [averageRating, ratings] = await Promise.all([
+      db.ratings.averageForStores(pool, req.storeIds),
+      db.ratings.listForStores(pool, req.storeIds)
+    ]);
+    res.json({ averageRating, ratings });
+  }));
+
+  router.get('/ratings/export', asyncHandler((req, res) => {
+    const { sql, params } = db.ratings.storeExportQuery(req.storeIds);
+    return streamExport(pool, req, res, {
+      filename: 'ratings', sql, params,
+      columns: ['store_name', 'name', 'email', 'rating', 'review', 'updated_at', 'reply']
+    });
+  }));
+
+  router.get('/history', asyncHandler((req, res) => (
+    sendRatingHistory(pool, req, res, { storeIds: req.storeIds })
+  )));
+
+  // Average rating and rating volume per day/week/month, based on the rating history.
+  // Buckets without activity are returned with zero volume and a null average.
+  router.get('/analytics', asyncHandler(async (req, res) => {
+    const { interval = 'day' } = req.query;
+    if (!['day', 'week', 'month'].includes(interval)) throw new AppError('BAD_REQUEST', 'Interval must be day, week or month');
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 29 * DAY_MS);
+    if (isNaN(from) || isNaN(to) || from > to) throw new AppError('BAD_REQUEST', 'Invalid date range');
+    if (to - from > 3 * 366 * DAY_MS) throw new AppError('BAD_REQUEST', 'Date range max 3 years');
+    if (interval === 'day' && to - from > 366 * DAY_MS) throw new AppError('BAD_REQUEST', 'Daily range max 1 year');
+
+    const rows = await db.ratings.trend(pool, req.storeIds, { interval, from, to });
+    res.json({
+      interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      series: rows.map((r) => ({
+        period: r.period,
+        volume: parseInt(r.volume),
+        newRatings: parseInt(r.new_ratings),
+        average: r.average === null ? null : parseFloat(r.average)
+      }))
+    });
+  }));
+
+  // One public reply per rating; posting again edits it. Only ratings on the owner's own stores are reachable.
+  router.post('/ratings/:id/reply', asyncHandler(async (req, res) => {
+    const { reply } = req.body;
+    assertValid(schemas.reply, { reply });
+
+    if (!(await db.ratings.existsOnStores(pool, req.params.id, req.user.store_ids))) {
+      throw new AppError('NOT_FOUND', 'Rating not found');
+    }
+    res.json(await db.ratings.saveReply(pool, { ratingId: req.params.id, ownerId: req.user.id, reply: reply.trim() }));
+  }));
+
+  router.delete('/ratings/:id/reply', asyncHandler(async (req, res) => {
+    const removed = await db.ratings.deleteReply(pool, req.params.id, req.user.store_ids);
+    if (!removed) throw new AppError('NOT_FOUND', 'Reply not found');
+    res.json({ message: 'Reply deleted' });
+  }));
+
+  return router;
+};
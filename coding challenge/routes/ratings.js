@@ -0,0 +1,62 @@
+// ==================== RATING ROUTES ====================
+const express = require('express');
+const db = require('../db');
+const { AppError, assertValid, asyncHandler } = require('../lib/errors');
+const { sendRatingHistory } = require('../lib/ratingHistory');
+const { schemas } = require('../shared/validation');
+
+module.exports = ({ pool, auth }) => {
+  const router = express.Router();
+
+  // Every saved change is also written to the rating history. An unknown storeId fails the foreign key (404).
+  router.post('/', auth(['user']), asyncHandler(async (req, res) => {
+    if (!req.user.email_verified_at) throw new AppError('EMAIL_NOT_VERIFIED');
+    const { storeId, rating, review } = req.body;
+    assertValid(schemas.rating, { rating, review });
+    if (!storeId) throw new AppError('VALIDATION_FAILED', 'Store is required', { fields: { storeId: 'Store is required' } });
+
+    const saved = await db.withTransaction(pool, async (client) => {
+      const prev = await db.ratings.findForUpdate(client, req.user.id, storeId);
+      const saved = await db.ratings.upsert(client, { userId: req.user.id, storeId, rating, review });
+      if (!prev || prev.rating !== saved.rating || prev.review !== saved.review) {
+        await db.ratings.addHistory(client, {
+          ratingId: saved.id, userId: saved.user_id, storeId: saved.store_id, action: prev ? 'updated' : 'created',
+          previousRating: prev?.rating ?? null, rating: saved.rating, previousReview: prev?.review ?? null, review: saved.review
+        });
+      }
+      return saved;
+    });
+    res.json(saved);
+  }));
+
+  router.get('/history', auth(['user']), asyncHandler((req, res) => (
+    sendRatingHistory(pool, req, res, { userId: req.user.id })
+  )));
+
+  // Withdraws the caller's rating; the history keeps a 'deleted' entry and any owner reply goes with the rating
+  router.delete('/:storeId', auth(['user']), asyncHandler(async (req, res) => {
+    const removed = await db.withTransaction(pool, async (client) => {
+      const removed = await db.ratings.remove(client, req.user.id, req.params.storeId);
+      if (removed) {
+        await db.ratings.addHistory(client, {
+          userId: removed.user_id, storeId: removed.store_id, action: 'deleted',
+          previousRating: removed.rating, previousReview: removed.review
+        });
+      }
+      return removed;
+    });
+    if (!removed) throw new AppError('NOT_FOUND', 'Rating not found');
+    res.json({ message: 'Rating withdrawn' });
+  }));
+
+  // Visible to the user who gave the rating, the owner of the rated store and admins
+  router.get('/:id/history', auth(), asyncHandler(async (req, res) => {
+    const r = await db.ratings.findById(pool, req.params.id);
+    const allowed = r && (req.user.role === 'admin' || r.user_id === req.user.id ||
+      (req.user.role === 'store_owner' && req.user.store_ids.includes(r.store_id)));
+    if (!allowed) throw new AppError('NOT_FOUND', 'Rating not found');
+    await sendRatingHistory(pool, req, res, { ratingId: req.params.id });
+  }));
+
+  return router;
+};
@@ -0,0 +1,37 @@
+// ==================== SETUP ROUTES ====================
+const express = require('express');
+const db = require('../db');
+const { createAdmin } = require('../lib/setup');
+const { publicUser } = require('../lib/sessions');
+const { tokensMatch } = require('../lib/tokens');
+const { AppError, assertValid, asyncHandler } = require('../lib/errors');
+const { schemas } = require('../shared/validation');
+
+// ctx.setup.token is cleared once the first admin exists
+module.exports = ({ pool, sessions, setup }) => {
+  const router = express.Router();
+
+  router.get('/status', asyncHandler(async (req, res) => {
+    res.json({ setupRequired: !(await db.users.adminExists(pool)) });
+  }));
+
+  router.post('/', asyncHandler(async (req, res) => {
+    const { token, name, email, password, address } = req.body;
+    if (!setup.token) throw new AppError('SETUP_COMPLETED');
+    if (!tokensMatch(token, setup.token)) throw new AppError('INVALID_SETUP_TOKEN');
+    assertValid(schemas.register, { name, email, password, address });
+
+    const user = await db.withTransaction(pool, async (client) => {
+      // Serialises concurrent setup requests so only one admin can be created this way
+      await db.users.lockTable(client);
+      if (await db.users.adminExists(client)) return null;
+      return createAdmin(client, { name, email, password, address });
+    });
+    setup.token = null;
+    if (!user) throw new AppError('SETUP_COMPLETED');
+    const tokens = await sessions.createSession(user, req);
+    res.status(201).json({ user: publicUser(user), ...tokens });
+  }));
+
+  return router;
+};
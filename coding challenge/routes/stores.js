@@ -0,0 +1,47 @@
+// ==================== STORE ROUTES ====================
+const express = require('express');
+const db = require('../db');
+const { AppError, assertSingleValues, asyncHandler } = require('../lib/errors');
+const { parsePagination } = require('../lib/pagination');
+const { rules, hasErrors } = require('../shared/validation');
+
+const MAX_SUGGESTIONS = 10;
+const MAX_RADIUS_KM = 500;
+
+const toNumber = (v) => (v === undefined || v === '' ? NaN : Number(v));
+
+// lat and lng (both required once either is sent) and an optional radius in km, or null without a location
+const parseNear = ({ lat, lng, radius }) => {
+  if (lat === undefined && lng === undefined) return null;
+  const near = { latitude: toNumber(lat), longitude: toNumber(lng), radius: radius ? toNumber(radius) : null };
+
+  const fields = {};
+  if (rules.latitude(near.latitude)) fields.lat = rules.latitude(near.latitude);
+  if (rules.longitude(near.longitude)) fields.lng = rules.longitude(near.longitude);
+  if (near.radius !== null && !(near.radius > 0 && near.radius <= MAX_RADIUS_KM)) {
+    fields.radius = `Radius must be between 0 and ${MAX_RADIUS_KM} km`;
+  }
+  if (hasErrors(fields)) throw new AppError('VALIDATION_FAILED', Object.values(fields).join(', '), { fields });
+  return near;
+};
+
+module.exports = ({ pool, auth }) => {
+  const router = express.Router();
+
+  router.get('/', auth(), asyncHandler(async (req, res) => {
+    assertSingleValues(req.query, ['q']);
+    // suggest=true answers the search box's autocomplete with [{ id, name, address }]
+    if (req.query.suggest === 'true') {
+      const q = (req.query.q || '').trim();
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), MAX_SUGGESTIONS);
+      return res.json(q ? await db.stores.suggest(pool, q, limit) : []);
+    }
+
+    const { page, limit, offset } = parsePagination(req.query);
+    const query = { ...req.query, near: parseNear(req.query) };
+    const { items, total, facets } = await db.stores.listForUser(pool, query, req.user.id, { limit, offset });
+    res.json({ items, total, page, limit, facets });
+  }));
+
+  return router;
+};
@@ -0,0 +1,64 @@
+// ==================== SHARED VALIDATION ====================
+// The one copy of the form rules, used by the server (require) and by the React app (import).
+// Keep this file free of dependencies and Node/browser-only APIs so it runs on both sides.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_PATTERN = /^(?=.*[A-Z])(?=.*[!@#$%^&*])[A-Za-z\d!@#$%^&*]{8,16}$/;
+const ROLES = ['admin', 'user', 'store_owner'];
+const MAX_TAGS = 10;
+
+// Each rule returns an error message, or '' when the value is valid
+const rules = {
+  name: (v) => typeof v === 'string' && v.length >= 20 && v.length <= 60 ? '' : 'Name must be 20-60 characters',
+  email: (v) => typeof v === 'string' && EMAIL_PATTERN.test(v) ? '' : 'Invalid email format',
+  password: (v) => !v ? 'Password is required'
+    : typeof v === 'string' && PASSWORD_PATTERN.test(v) ? '' : 'Password: 8-16 chars, 1 uppercase, 1 special char',
+  address: (v) => !v || (typeof v === 'string' && v.length <= 400) ? '' : 'Address max 400 characters',
+  role: (v) => ROLES.includes(v) ? '' : 'Invalid role',
+  rating: (v) => Number.isInteger(v) && v >= 1 && v <= 5 ? '' : 'Rating must be 1-5',
+  review: (v) => v === undefined || v === null || (typeof v === 'string' && v.length <= 1000) ? '' : 'Review max 1000 characters',
+  reply: (v) => typeof v !== 'string' || !v.trim() ? 'Reply is required' : v.length <= 1000 ? '' : 'Reply max 1000 characters',
+  latitude: (v) => v === undefined || v === null || (typeof v === 'number' && v >= -90 && v <= 90) ? '' : 'Latitude must be between -90 and 90',
+  longitude: (v) => v === undefined || v === null || (typeof v === 'number' && v >= -180 && v <= 180) ? '' : 'Longitude must be between -180 and 180',
+  categoryName: (v) => typeof v === 'string' && v.trim().length >= 2 && v.length <= 50 ? '' : 'Category name must be 2-50 characters',
+  categoryId: (v) => v === undefined || v === null || (Number.isInteger(v) && v > 0) ? '' : 'Invalid category',
+  tags: (v) => v === undefined || (Array.isArray(v) && v.length <= MAX_TAGS
+    && v.every((t) => typeof t === 'string' && t.trim() && t.trim().length <= 30)) ? '' : `Up to ${MAX_TAGS} tags of 1-30 characters`
+};
+
+// Form field -> rule name
+const schemas = {
+  register: { name: 'name', email: 'email', password: 'password', address: 'address' },
+  user: { name: 'name', email: 'email', password: 'password', address: 'address', role: 'role' },
+  store: {
+    name: 'name', email: 'email', address: 'address', categoryId: 'categoryId', tags: 'tags',
+    latitude: 'latitude', longitude: 'longitude'
+  },
+  storeWithOwner: {
+    name: 'name', email: 'email', address: 'address', categoryId: 'categoryId', tags: 'tags',
+    latitude: 'latitude', longitude: 'longitude',
+    ownerName: 'name', ownerEmail: 'email', ownerPassword: 'password', ownerAddress: 'address'
+  },
+  category: { name: 'categoryName' },
+  newPassword: { newPassword: 'password' },
+  rating: { rating: 'rating', review: 'review' },
+  reply: { reply: 'reply' }
+};
+
+// Checks `data` against a schema and returns { field: message } for every invalid field ({} when valid).
+// partial skips fields that are not present (PATCH); fields listed in optional may also be left empty.
+const validate = (schema, data, { partial = false, optional = [] } = {}) => {
+  const errors = {};
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = data[field];
+    if (partial && value === undefined) return;
+    if (optional.includes(field) && (value === undefined || value === null || value === '')) return;
+    const message = rules[rule](value);
+    if (message) errors[field] = message;
+  });
+  return errors;
+};
+
+const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+module.exports = { rules, schemas, validate, hasErrors };
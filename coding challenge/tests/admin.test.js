@@ -0,0 +1,324 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startTestApp, setupAdmin, registerUser, createStore } = require('./helpers');
+
+describe('admin', () => {
+  let ctx;
+  let adminToken;
+  before(async () => {
+    ctx = await startTestApp();
+    adminToken = await setupAdmin(ctx);
+  });
+  after(() => ctx.close());
+
+  it('is closed to other roles', async () => {
+    const { token } = await registerUser(ctx);
+    const res = await ctx.api('GET /admin/dashboard', { token });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'FORBIDDEN');
+  });
+
+  it('returns dashboard totals', async () => {
+    const res = await ctx.api('GET /admin/dashboard?days=7', { token: adminToken });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.usersByRole.admin, 1);
+    assert.equal(res.body.newUsersPerDay.length, 7);
+  });
+
+  describe('users', () => {
+    const newUser = { name: 'Admin Created Test User', email: 'created@test.com', password: 'Create@123', address: 'Road', role: 'user' };
+    let userId;
+
+    it('validates new users', async () => {
+      const res = await ctx.api('POST /admin/users', { token: adminToken, body: { ...newUser, email: 'bad' } });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.fields, { email: 'Invalid email format' });
+    });
+
+    it('creates a user', async () => {
+      const res = await ctx.api('POST /admin/users', { token: adminToken, body: newUser });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.email, newUser.email);
+      assert.equal(res.body.password, undefined);
+      userId = res.body.id;
+    });
+
+    it('rejects a duplicate email', async () => {
+      const res = await ctx.api('POST /admin/users', { token: adminToken, body: newUser });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'EMAIL_EXISTS');
+    });
+
+    it('lists users with filters and pagination', async () => {
+      const res = await ctx.api('GET /admin/users?email=created&limit=1', { token: adminToken });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total, 1);
+      assert.equal(res.body.limit, 1);
+      assert.equal(res.body.items[0].id, userId);
+    });
+
+    it('searches names and emails and filters by several roles', async () => {
+      const res = await ctx.api('GET /admin/users?search=Admin%20Created&role=user,store_owner', { token: adminToken });
+      assert.deepEqual(res.body.items.map((u) => u.id), [userId]);
+      const admins = await ctx.api(`GET /admin/users?search=${ADMIN.email}&role=user,store_owner`, { token: adminToken });
+      assert.equal(admins.body.total, 0);
+      const repeated = await ctx.api('GET /admin/users?search=Admin%20Created&role=user&role=store_owner', { token: adminToken });
+      assert.deepEqual(repeated.body.items.map((u) => u.id), [userId]);
+    });
+
+    it('exports users as CSV', async () => {
+      const res = await ctx.api('GET /admin/users/export?role=admin', { token: adminToken });
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /text\/csv/);
+      assert.equal(res.body.trim().split('\r\n').length, 2);
+    });
+
+    it('shows, updates and deletes a user', async () => {
+      assert.equal((await ctx.api(`GET /admin/users/${userId}`, { token: adminToken })).body.name, newUser.name);
+      const invalid = await ctx.api(`PATCH /admin/users/${userId}`, { token: adminToken, body: { role: 'owner' } });
+      assert.deepEqual(invalid.body.fields, { role: 'Invalid role' });
+      const patched = await ctx.api(`PATCH /admin/users/${userId}`, { token: adminToken, body: { address: 'New Road', password: '' } });
+      assert.equal(patched.status, 200);
+      assert.equal(patched.body.address, 'New Road');
+      assert.equal((await ctx.api(`DELETE /admin/users/${userId}`, { token: adminToken })).status, 200);
+      assert.equal((await ctx.api(`GET /admin/users/${userId}`, { token: adminToken })).status, 404);
+    });
+
+    it('answers 404 for unknown users', async () => {
+      assert.equal((await ctx.api('PATCH /admin/users/999999', { token: adminToken, body: { address: 'x' } })).status, 404);
+      assert.equal((await ctx.api('DELETE /admin/users/999999', { token: adminToken })).status, 404);
+    });
+
+    it('stops admins demoting or deleting themselves', async () => {
+      const me = (await ctx.api('GET /admin/users?role=admin', { token: adminToken })).body.items[0];
+      const demote = await ctx.api(`PATCH /admin/users/${me.id}`, { token: adminToken, body: { role: 'user' } });
+      assert.equal(demote.status, 400);
+      assert.equal((await ctx.api(`DELETE /admin/users/${me.id}`, { token: adminToken })).status, 400);
+    });
+
+    it('lists and unlocks accounts locked by failed logins', async () => {
+      const { user } = await registerUser(ctx);
+      await ctx.pool.query(
+        `INSERT INTO login_throttles (scope, identifier, failures, locked_until)
+         VALUES ('email', $1, 5, CURRENT_TIMESTAMP + INTERVAL '15 minutes')`, [user.email]
+      );
+      const locked = await ctx.api('GET /admin/locked-users', { token: adminToken });
+      assert.deepEqual(locked.body.map((u) => u.id), [user.id]);
+
+      assert.equal((await ctx.api(`POST /admin/users/${user.id}/unlock`, { token: adminToken })).status, 200);
+      assert.deepEqual((await ctx.api('GET /admin/locked-users', { token: adminToken })).body, []);
+    });
+
+    it('imports users from CSV, committing nothing on a dry run', async () => {
+      const csv = 'name,email,password\r\nImported Test User Number One,imp1@test.com,Import@123\r\n';
+      const headers = { 'Content-Type': 'text/csv' };
+      const dry = await ctx.api('POST /admin/import/users?dryRun=true', { token: adminToken, body: csv, headers });
+      assert.equal(dry.status, 200);
+      assert.equal(dry.body.committed, false);
+
+      const real = await ctx.api('POST /admin/import/users', { token: adminToken, body: csv, headers });
+      assert.equal(real.status, 201);
+      assert.equal(real.body.imported, 1);
+
+      const again = await ctx.api('POST /admin/import/users', { token: adminToken, body: csv, headers });
+      assert.equal(again.body.failed, 1);
+      assert.deepEqual(again.body.rows[0].errors, ['Email already exists']);
+    });
+  });
+
+  describe('stores', () => {
+    it('validates the store and its owner', async () => {
+      const res = await ctx.api('POST /admin/stores', { token: adminToken, body: { name: 'Tiny', email: 'x', address: 'a'.repeat(401) } });
+      assert.equal(res.status, 400);
+      assert.deepEqual(Object.keys(res.body.fields), ['name', 'email', 'address', 'ownerName', 'ownerEmail', 'ownerPassword']);
+    });
+
+    it('creates a store with an owner account', async () => {
+      const { store, owner, ownerToken } = await createStore(ctx, adminToken);
+      assert.ok(store.id);
+      assert.ok(ownerToken);
+      const list = await ctx.api(`GET /admin/stores?email=${store.email}`, { token: adminToken });
+      assert.equal(list.body.total, 1);
+      assert.deepEqual(list.body.items[0].owners.map((o) => o.id), [owner.id]);
+    });
+
+    it('creates a store for an existing user and promotes them', async () => {
+      const { user } = await registerUser(ctx);
+      const body = { name: 'Existing Owner Test Store', email: 'existing-owner-store@test.com', address: 'Road', ownerId: user.id };
+      const res = await ctx.api('POST /admin/stores', { token: adminToken, body });
+      assert.equal(res.status, 201);
+      const details = await ctx.api(`GET /admin/users/${user.id}`, { token: adminToken });
+      assert.equal(details.body.role, 'store_owner');
+      assert.deepEqual(details.body.stores.map((s) => s.id), [res.body.id]);
+
+      const adminId = (await ctx.api(`GET /admin/users?email=${ADMIN.email}`, { token: adminToken })).body.items[0].id;
+      const admin = await ctx.api('POST /admin/stores', {
+        token: adminToken, body: { ...body, email: 'admin-owned-store@test.com', ownerId: adminId }
+      });
+      assert.equal(admin.status, 400);
+      const missing = await ctx.api('POST /admin/stores', {
+        token: adminToken, body: { ...body, email: 'admin-owned-store@test.com', ownerId: 999999 }
+      });
+      assert.equal(missing.status, 404);
+      assert.equal((await ctx.api('GET /admin/stores?email=admin-owned-store', { token: adminToken })).body.total, 0);
+    });
+
+    it('reports which email is already taken', async () => {
+      const { store } = await createStore(ctx, adminToken);
+      const body = {
+        name: 'Another Test Store Limited', email: store.email, address: 'Road',
+        ownerName: 'Another Store Owner Person', ownerEmail: 'another-owner@test.com', ownerPassword: 'Owner@123'
+      };
+      const storeClash = await ctx.api('POST /admin/stores', { token: adminToken, body });
+      assert.equal(storeClash.status, 409);
+      assert.equal(storeClash.body.code, 'STORE_EMAIL_EXISTS');
+      assert.deepEqual(storeClash.body.fields, { email: 'Store email already exists' });
+
+      const ownerClash = await ctx.api('POST /admin/stores', {
+        token: adminToken, body: { ...body, email: 'another-store@test.com', ownerEmail: ADMIN.email }
+      });
+      assert.equal(ownerClash.status, 409);
+      assert.deepEqual(ownerClash.body.fields, { ownerEmail: 'Email already exists' });
+    });
+
+    it('updates and deletes a store, demoting its owner', async () => {
+      const { store, owner } = await createStore(ctx, adminToken);
+      const put = await ctx.api(`PUT /admin/stores/${store.id}`, {
+        token: adminToken, body: { name: 'Renamed Test Store Limited', email: store.email, address: 'Elsewhere' }
+      });
+      assert.equal(put.status, 200);
+      assert.equal(put.body.name, 'Renamed Test Store Limited');
+
+      assert.equal((await ctx.api(`DELETE /admin/stores/${store.id}`, { token: adminToken })).status, 200);
+      assert.equal((await ctx.api(`GET /admin/users/${owner.id}`, { token: adminToken })).body.role, 'user');
+      assert.equal((await ctx.api(`PATCH /admin/stores/${store.id}`, { token: adminToken, body: { address: 'x' } })).status, 404);
+    });
+  });
+
+  describe('categories and tags', () => {
+    let category;
+
+    it('creates, renames and lists categories', async () => {
+      const res = await ctx.api('POST /admin/categories', { token: adminToken, body: { name: 'Coffee' } });
+      assert.equal(res.status, 201);
+      category = res.body;
+      const clash = await ctx.api('POST /admin/categories', { token: adminToken, body: { name: 'coffee' } });
+      assert.equal(clash.status, 409);
+      assert.deepEqual(clash.body.fields, { name: 'Category already exists' });
+
+      const renamed = await ctx.api(`PUT /admin/categories/${category.id}`, { token: adminToken, body: { name: 'Coffee Shops' } });
+      assert.equal(renamed.body.name, 'Coffee Shops');
+      const list = await ctx.api('GET /admin/categories', { token: adminToken });
+      assert.deepEqual(list.body.map((c) => [c.name, c.store_count]), [['Coffee Shops', 0]]);
+    });
+
+    it('stores a category and normalized tags with a store', async () => {
+      const { store } = await createStore(ctx, adminToken, { categoryId: category.id, tags: ['Wifi', ' wifi', 'Vegan '] });
+      assert.equal(store.category_id, category.id);
+      assert.deepEqual(store.tags, ['vegan', 'wifi']);
+
+      const patched = await ctx.api(`PATCH /admin/stores/${store.id}`, { token: adminToken, body: { tags: ['Late Opening'] } });
+      assert.deepEqual(patched.body.tags, ['late opening']);
+      const list = await ctx.api(`GET /admin/stores?email=${store.email}`, { token: adminToken });
+      assert.equal(list.body.items[0].category, 'Coffee Shops');
+      assert.deepEqual(list.body.items[0].tags, ['late opening']);
+
+      const unknown = await ctx.api(`PATCH /admin/stores/${store.id}`, { token: adminToken, body: { categoryId: 999999 } });
+      assert.equal(unknown.status, 400);
+      assert.deepEqual(unknown.body.fields, { categoryId: 'Category not found' });
+    });
+
+    it('keeps categories that are still in use', async () => {
+      const res = await ctx.api(`DELETE /admin/categories/${category.id}`, { token: adminToken });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'STILL_REFERENCED');
+
+      const empty = await ctx.api('POST /admin/categories', { token: adminToken, body: { name: 'Empty Category' } });
+      assert.equal((await ctx.api(`DELETE /admin/categories/${empty.body.id}`, { token: adminToken })).status, 200);
+      assert.equal((await ctx.api(`DELETE /admin/categories/${empty.body.id}`, { token: adminToken })).status, 404);
+    });
+  });
+
+  describe('store locations', () => {
+    it('keeps coordinates sent with the store and rejects incomplete or invalid ones', async () => {
+      const { store } = await createStore(ctx, adminToken, { latitude: 48.8566, longitude: 2.3522 });
+      assert.deepEqual([store.latitude, store.longitude], [48.8566, 2.3522]);
+
+      const half = await ctx.api(`PATCH /admin/stores/${store.id}`, { token: adminToken, body: { latitude: 10 } });
+      assert.equal(half.status, 400);
+      assert.deepEqual(Object.keys(half.body.fields), ['longitude']);
+      const outOfRange = await ctx.api(`PATCH /admin/stores/${store.id}`, { token: adminToken, body: { latitude: 91, longitude: 0 } });
+      assert.deepEqual(outOfRange.body.fields, { latitude: 'Latitude must be between -90 and 90' });
+    });
+
+    it('exports negative coordinates as numbers while still guarding text', async () => {
+      await createStore(ctx, adminToken, { name: 'Lima Plaza Food Market Limited', address: '-Dash Street', latitude: -12.0464, longitude: -77.0428 });
+      const res = await ctx.api('GET /admin/stores/export?name=Lima%20Plaza', { token: adminToken });
+      const [, row] = res.body.trim().split('\r\n');
+      assert.match(row, /,'-Dash Street,-12\.0464,-77\.0428,/);
+    });
+
+    it('geocodes the address when no coordinates are sent', async () => {
+      const { store } = await createStore(ctx, adminToken, { address: '221B Baker Street' });
+      assert.ok(Math.abs(store.latitude - 51.5074) < 0.5 && Math.abs(store.longitude + 0.1278) < 0.5);
+
+      const lookup = await ctx.api('GET /admin/geocode?address=221B%20Baker%20Street', { token: adminToken });
+      assert.deepEqual(lookup.body, { latitude: store.latitude, longitude: store.longitude });
+      assert.equal((await ctx.api('GET /admin/geocode?address=', { token: adminToken })).status, 400);
+      assert.equal((await ctx.api('GET /admin/geocode?address=a&address=b', { token: adminToken })).status, 400);
+
+      const moved = await ctx.api(`PATCH /admin/stores/${store.id}`, { token: adminToken, body: { address: '10 Downing Street' } });
+      assert.notEqual(moved.body.latitude, store.latitude);
+      const renamed = await ctx.api(`PATCH /admin/stores/${store.id}`, { token: adminToken, body: { address: '10 Downing Street', name: store.name } });
+      assert.equal(renamed.body.latitude, moved.body.latitude);
+      const cleared = await ctx.api(`PATCH /admin/stores/${store.id}`, { token: adminToken, body: { latitude: null, longitude: null } });
+      assert.deepEqual([cleared.body.latitude, cleared.body.longitude], [null, null]);
+    });
+
+    it('geocodes imported stores', async () => {
+      const csv = 'name,email,address,owner_name,owner_email,owner_password\r\n'
+        + 'Imported Corner Shop Limited,imported-shop@test.com,1 Import Lane,Imported Store Owner Person,imported-owner@test.com,Owner@123\r\n';
+      const res = await ctx.api('POST /admin/import/stores', { token: adminToken, body: csv, headers: { 'Content-Type': 'text/csv' } });
+      assert.equal(res.status, 201);
+      const lookup = await ctx.api('GET /admin/geocode?address=1%20Import%20Lane', { token: adminToken });
+      const { rows } = await ctx.pool.query(`SELECT latitude, longitude FROM stores WHERE email = 'imported-shop@test.com'`);
+      assert.deepEqual(rows[0], lookup.body);
+    });
+  });
+
+  describe('store owners', () => {
+    it('assigns an existing user to several stores and unassigns them again', async () => {
+      const first = await createStore(ctx, adminToken);
+      const second = await createStore(ctx, adminToken);
+      const { user } = await registerUser(ctx);
+
+      const added = await ctx.api(`POST /admin/stores/${first.store.id}/owners`, { token: adminToken, body: { email: user.email } });
+      assert.equal(added.status, 201);
+      assert.deepEqual(added.body.map((o) => o.id).sort(), [first.owner.id, user.id].sort());
+      await ctx.api(`POST /admin/stores/${second.store.id}/owners`, { token: adminToken, body: { userId: user.id } });
+
+      const details = await ctx.api(`GET /admin/users/${user.id}`, { token: adminToken });
+      assert.equal(details.body.role, 'store_owner');
+      assert.deepEqual(details.body.stores.map((s) => s.id).sort(), [first.store.id, second.store.id].sort());
+
+      const again = await ctx.api(`POST /admin/stores/${first.store.id}/owners`, { token: adminToken, body: { userId: user.id } });
+      assert.equal(again.status, 409);
+
+      await ctx.api(`DELETE /admin/stores/${first.store.id}/owners/${user.id}`, { token: adminToken });
+      assert.equal((await ctx.api(`GET /admin/users/${user.id}`, { token: adminToken })).body.role, 'store_owner');
+      const removed = await ctx.api(`DELETE /admin/stores/${second.store.id}/owners/${user.id}`, { token: adminToken });
+      assert.deepEqual(removed.body.map((o) => o.id), [second.owner.id]);
+      assert.equal((await ctx.api(`GET /admin/users/${user.id}`, { token: adminToken })).body.role, 'user');
+      assert.equal((await ctx.api(`DELETE /admin/stores/${second.store.id}/owners/${user.id}`, { token: adminToken })).status, 404);
+    });
+
+    it('rejects admins and unknown users or stores', async () => {
+      const { store } = await createStore(ctx, adminToken);
+      const admin = await ctx.api(`POST /admin/stores/${store.id}/owners`, { token: adminToken, body: { email: ADMIN.email } });
+      assert.equal(admin.status, 400);
+      const unknownUser = await ctx.api(`POST /admin/stores/${store.id}/owners`, { token: adminToken, body: { email: 'nobody@test.com' } });
+      assert.equal(unknownUser.status, 404);
+      assert.equal((await ctx.api('GET /admin/stores/999999/owners', { token: adminToken })).status, 404);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SETUP_TOKEN, ADMIN, startTestApp, tokenFromMail, waitForToken, registerUser } = require('./helpers');
+
+describe('setup and auth', () => {
+  let ctx;
+  before(async () => { ctx = await startTestApp(); });
+  after(() => ctx.close());
+
+  describe('first-run setup', () => {
+    it('reports that setup is required while no admin exists', async () => {
+      const res = await ctx.api('GET /setup/status');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.setupRequired, true);
+    });
+
+    it('rejects a wrong setup token', async () => {
+      const res = await ctx.api('POST /setup', { body: { ...ADMIN, token: 'wrong' } });
+      assert.equal(res.status, 403);
+    });
+
+    it('requires a password', async () => {
+      const res = await ctx.api('POST /setup', { body: { ...ADMIN, password: '', token: SETUP_TOKEN } });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.fields, { password: 'Password is required' });
+    });
+
+    it('creates the first admin and signs them in', async () => {
+      const res = await ctx.api('POST /setup', { body: { ...ADMIN, token: SETUP_TOKEN } });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.user.role, 'admin');
+      assert.ok(res.body.token && res.body.refreshToken);
+    });
+
+    it('can only be completed once', async () => {
+      const res = await ctx.api('POST /setup', { body: { ...ADMIN, email: 'other@test.com', token: SETUP_TOKEN } });
+      assert.equal(res.status, 409);
+      assert.equal((await ctx.api('GET /setup/status')).body.setupRequired, false);
+    });
+  });
+
+  describe('registration and login', () => {
+    const account = { name: 'Registration Test Account', email: 'register@test.com', password: 'Regist@123', address: 'Somewhere' };
+
+    it('validates the registration form field by field', async () => {
+      const res = await ctx.api('POST /auth/register', { body: { name: 'Short', email: 'nope', password: 'weak' } });
+      assert.equal(res.status, 400);
+      assert.deepEqual(Object.keys(res.body.fields), ['name', 'email', 'password']);
+    });
+
+    it('registers an unverified user and mails a verification link', async () => {
+      const res = await ctx.api('POST /auth/register', { body: account });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.user.role, 'user');
+      assert.equal(res.body.user.email_verified, false);
+      assert.ok(tokenFromMail(ctx.mail, account.email, 'verifyToken'));
+    });
+
+    it('rejects a duplicate email', async () => {
+      const res = await ctx.api('POST /auth/register', { body: account });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'EMAIL_EXISTS');
+      assert.deepEqual(res.body.fields, { email: 'Email already exists' });
+    });
+
+    it('verifies the email, and the same link keeps working', async () => {
+      const token = tokenFromMail(ctx.mail, account.email, 'verifyToken');
+      assert.equal((await ctx.api('POST /auth/verify-email', { body: { token } })).status, 200);
+      assert.equal((await ctx.api('POST /auth/verify-email', { body: { token } })).status, 200);
+      assert.equal((await ctx.api('POST /auth/verify-email', { body: { token: 'bogus' } })).status, 400);
+    });
+
+    it('logs in with the right password', async () => {
+      const res = await ctx.api('POST /auth/login', { body: { email: account.email, password: account.password } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.email_verified, true);
+    });
+
+    it('rejects a wrong password, then throttles the next attempt', async () => {
+      const body = { email: account.email, password: 'Wrong@1234' };
+      assert.equal((await ctx.api('POST /auth/login', { body })).status, 401);
+      const res = await ctx.api('POST /auth/login', { body });
+      assert.equal(res.status, 429);
+      assert.equal(res.body.code, 'LOGIN_THROTTLED');
+      assert.ok(res.headers.get('retry-after'));
+    });
+
+    it('requires email and password', async () => {
+      assert.equal((await ctx.api('POST /auth/login', { body: {} })).status, 400);
+      assert.equal((await ctx.api('POST /auth/login', { body: { email: 'user1@test.com', password: 123 } })).status, 400);
+      assert.equal((await ctx.api('POST /auth/login', { body: { email: ['user1@test.com'], password: 'x' } })).status, 400);
+    });
+  });
+
+  describe('sessions', () => {
+    it('rotates refresh tokens and revokes the session when an old one is reused', async () => {
+      const { user, token, password } = await registerUser(ctx);
+      const login = await ctx.api('POST /auth/login', { body: { email: user.email, password } });
+      const first = login.body.refreshToken;
+
+      const refreshed = await ctx.api('POST /auth/refresh', { body: { refreshToken: first } });
+      assert.equal(refreshed.status, 200);
+      assert.notEqual(refreshed.body.refreshToken, first);
+
+      assert.equal((await ctx.api('POST /auth/refresh', { body: { refreshToken: first } })).status, 401);
+      assert.equal((await ctx.api('POST /auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } })).status, 401);
+      assert.equal((await ctx.api('GET /stores', { token })).status, 200);
+    });
+
+    it('rejects refresh and link tokens that are not strings', async () => {
+      const refresh = await ctx.api('POST /auth/refresh', { body: { refreshToken: { a: 1 } } });
+      assert.equal(refresh.status, 401);
+      assert.equal(refresh.body.code, 'SESSION_EXPIRED');
+      const verify = await ctx.api('POST /auth/verify-email', { body: { token: ['x'] } });
+      assert.equal(verify.body.code, 'INVALID_OR_EXPIRED_LINK');
+      const reset = await ctx.api('POST /auth/reset-password', { body: { token: { a: 1 }, newPassword: 'Reset@123' } });
+      assert.equal(reset.body.code, 'INVALID_OR_EXPIRED_LINK');
+    });
+
+    it('rejects requests without a valid access token', async () => {
+      assert.equal((await ctx.api('GET /stores')).status, 401);
+      assert.equal((await ctx.api('GET /stores', { token: 'not-a-jwt' })).status, 401);
+    });
+
+    it('ends the session on logout', async () => {
+      const { token } = await registerUser(ctx);
+      assert.equal((await ctx.api('POST /auth/logout', { token })).status, 200);
+      const res = await ctx.api('GET /stores', { token });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, 'SESSION_EXPIRED');
+    });
+  });
+
+  describe('passwords', () => {
+    it('changes the password and signs out other sessions', async () => {
+      const { user, token, password } = await registerUser(ctx);
+      const other = await ctx.api('POST /auth/login', { body: { email: user.email, password } });
+
+      const wrong = await ctx.api('PUT /auth/password', { token, body: { currentPassword: 'Nope@1234', newPassword: 'Change@123' } });
+      assert.equal(wrong.status, 400);
+      assert.equal(wrong.body.code, 'CURRENT_PASSWORD_INCORRECT');
+      const notText = await ctx.api('PUT /auth/password', { token, body: { currentPassword: 123, newPassword: 'Change@123' } });
+      assert.equal(notText.body.code, 'CURRENT_PASSWORD_INCORRECT');
+      const same = await ctx.api('PUT /auth/password', { token, body: { currentPassword: password, newPassword: password } });
+      assert.equal(same.status, 400);
+
+      const res = await ctx.api('PUT /auth/password', { token, body: { currentPassword: password, newPassword: 'Change@123' } });
+      assert.equal(res.status, 200);
+      assert.equal((await ctx.api('GET /stores', { token })).status, 200);
+      assert.equal((await ctx.api('GET /stores', { token: other.body.token })).status, 401);
+    });
+
+    it('resets a forgotten password with a single-use link', async () => {
+      const { user } = await registerUser(ctx);
+      const unknown = await ctx.api('POST /auth/forgot-password', { body: { email: 'nobody@test.com' } });
+      const known = await ctx.api('POST /auth/forgot-password', { body: { email: user.email } });
+      assert.equal(unknown.status, 200);
+      assert.equal(known.body.message, unknown.body.message);
+
+      const token = await waitForToken(ctx.mail, user.email, 'resetToken');
+      const weak = await ctx.api('POST /auth/reset-password', { body: { token, newPassword: 'weak' } });
+      assert.equal(weak.status, 400);
+      assert.ok(weak.body.fields.newPassword);
+      assert.equal((await ctx.api('POST /auth/reset-password', { body: { token, newPassword: 'Reset@123' } })).status, 200);
+      assert.equal((await ctx.api('POST /auth/reset-password', { body: { token, newPassword: 'Reset@456' } })).status, 400);
+
+      const login = await ctx.api('POST /auth/login', { body: { email: user.email, password: 'Reset@123' } });
+      assert.equal(login.status, 200);
+    });
+
+    it('sends at most one reset link per minute to an account', async () => {
+      const { user } = await registerUser(ctx);
+      await ctx.api('POST /auth/forgot-password', { body: { email: user.email } });
+      assert.ok(await waitForToken(ctx.mail, user.email, 'resetToken'));
+
+      const again = await ctx.api('POST /auth/forgot-password', { body: { email: user.email } });
+      assert.equal(again.status, 200);
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      assert.equal(ctx.mail.filter((m) => m.to === user.email && m.subject === 'Reset your password').length, 1);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const { startTestApp, setupAdmin, registerUser } = require('./helpers');
+
+describe('error responses', () => {
+  let ctx;
+  let adminToken;
+  let user;
+  before(async () => {
+    ctx = await startTestApp();
+    adminToken = await setupAdmin(ctx);
+    user = await registerUser(ctx);
+  });
+  after(() => ctx.close());
+
+  it('tags every response with a request id and echoes a safe incoming one', async () => {
+    const res = await ctx.api('GET /stores');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'AUTH_REQUIRED');
+    assert.ok(res.body.requestId);
+    assert.equal(res.headers.get('x-request-id'), res.body.requestId);
+
+    const traced = await ctx.api('GET /stores', { headers: { 'X-Request-Id': 'trace-123' } });
+    assert.equal(traced.body.requestId, 'trace-123');
+    const unsafe = await ctx.api('GET /stores', { headers: { 'X-Request-Id': 'bad id\twith spaces' } });
+    assert.notEqual(unsafe.body.requestId, 'bad id\twith spaces');
+  });
+
+  it('answers unknown endpoints and malformed JSON with JSON errors', async () => {
+    const missing = await ctx.api('GET /nope', { token: adminToken });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'ROUTE_NOT_FOUND');
+
+    const malformed = await ctx.api('POST /auth/login', { body: '{"email":', headers: { 'Content-Type': 'application/json' } });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, 'INVALID_JSON');
+  });
+
+  it('maps database errors to client errors', async () => {
+    const badId = await ctx.api('GET /admin/users/not-a-number', { token: adminToken });
+    assert.equal(badId.status, 400);
+    assert.equal(badId.body.code, 'INVALID_INPUT');
+
+    const noStore = await ctx.api('POST /ratings', { token: user.token, body: { storeId: 999999, rating: 4 } });
+    assert.equal(noStore.status, 404);
+    assert.equal(noStore.body.error, 'Store not found');
+  });
+
+  it('hides the message of unexpected errors', async (t) => {
+    const log = t.mock.method(console, 'error', () => {});
+    const broken = { query: async () => { throw new Error('relation "sessions" does not exist'); } };
+    const config = loadConfig({ JWT_SECRET: crypto.randomBytes(32).toString('hex') });
+    const server = createApp(broken, { config, mailer: { send: async () => {} } }).listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    try {
+      const token = jwt.sign({ id: 1, sid: 1 }, config.jwtSecret);
+      const res = await fetch(`http://localhost:${server.address().port}/api/stores`, { headers: { Authorization: `Bearer ${token}` } });
+      const body = await res.json();
+      assert.equal(res.status, 500);
+      assert.equal(body.code, 'INTERNAL_ERROR');
+      assert.doesNotMatch(body.error, /relation/);
+      assert.match(log.mock.calls[0].arguments[0], new RegExp(body.requestId));
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
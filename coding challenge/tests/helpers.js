@@ -0,0 +1,126 @@
+// ==================== TEST HELPERS ====================
+// Each test file gets its own throwaway database on a local PostgreSQL server. Connection settings come from
+// TEST_DB_HOST/PORT/USER/PASSWORD, falling back to the DB_* variables used by the server.
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const { migrate } = require('../migrate');
+
+const SETUP_TOKEN = 'test-setup-token';
+const ADMIN = { name: 'Test System Administrator', email: 'admin@test.com', password: 'Admin@123', address: 'Admin Street' };
+
+const env = process.env;
+const serverSettings = {
+  host: env.TEST_DB_HOST || env.DB_HOST || 'localhost',
+  port: env.TEST_DB_PORT || env.DB_PORT || 5432,
+  user: env.TEST_DB_USER || env.DB_USER || 'postgres',
+  password: env.TEST_DB_PASSWORD || env.DB_PASSWORD || 'password'
+};
+
+// Creates and migrates a fresh database, then serves createApp() on a random port.
+// Mail is captured in `mail` instead of being sent; call close() when the file is done.
+const startTestApp = async () => {
+  const database = `store_rating_test_${process.pid}_${Date.now()}`;
+  const admin = new Pool({ ...serverSettings, database: 'postgres' });
+  await admin.query(`CREATE DATABASE ${database}`);
+
+  const pool = new Pool({ ...serverSettings, database });
+  await migrate(pool);
+
+  const mail = [];
+  const config = loadConfig({ JWT_SECRET: crypto.randomBytes(32).toString('hex'), APP_URL: 'http://app.test' });
+  const app = createApp(pool, { config, setupToken: SETUP_TOKEN, mailer: { send: async (message) => { mail.push(message); } } });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const baseUrl = `http://localhost:${server.address().port}/api`;
+
+  // api('POST /auth/login', { body, token }) resolves to { status, body, headers }
+  const api = async (route, { body, token, headers = {} } = {}) => {
+    const [method, path] = route.split(' ');
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined && typeof body !== 'string' && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let parsed;
+    try { parsed = JSON.parse(text); } catch { parsed = text; }
+    return { status: res.status, body: parsed, headers: res.headers };
+  };
+
+  const close = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await pool.end();
+    await admin.query(`DROP DATABASE IF EXISTS ${database}`);
+    await admin.end();
+  };
+
+  return { api, pool, mail, close };
+};
+
+// Token from the last link mailed to `email` (verifyToken or resetToken)
+const tokenFromMail = (mail, email, param) => {
+  const message = mail.filter((m) => m.to === email).pop();
+  return message && new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get(param);
+};
+
+// tokenFromMail for mail sent after the response (password reset links); waits up to `ms` for it to arrive
+const waitForToken = async (mail, email, param, ms = 2000) => {
+  for (const start = Date.now(); Date.now() - start < ms;) {
+    const token = tokenFromMail(mail, email, param);
+    if (token) return token;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return null;
+};
+
+// Runs first-run setup and returns the admin's access token
+const setupAdmin = async ({ api }) => {
+  const res = await api('POST /setup', { body: { token: SETUP_TOKEN, ...ADMIN } });
+  return res.body.token;
+};
+
+let userCount = 0;
+
+// Registers a normal user, verifies their email unless verified is false, and returns { user, token, password }
+const registerUser = async ({ api, mail }, { verified = true, ...overrides } = {}) => {
+  userCount += 1;
+  const data = {
+    name: `Registered Test User Number ${userCount}`,
+    email: `user${userCount}@test.com`,
+    password: 'User@1234',
+    address: 'User Street',
+    ...overrides
+  };
+  const res = await api('POST /auth/register', { body: data });
+  if (verified) await api('POST /auth/verify-email', { body: { token: tokenFromMail(mail, data.email, 'verifyToken') } });
+  return { user: res.body.user, token: res.body.token, password: data.password };
+};
+
+let storeCount = 0;
+
+// Creates a store with a new owner and returns { store, owner, ownerToken }
+const createStore = async ({ api }, adminToken, overrides = {}) => {
+  storeCount += 1;
+  const data = {
+    name: `Test Store Number ${storeCount} Limited`,
+    email: `store${storeCount}@test.com`,
+    address: 'Store Street',
+    ownerName: `Store Owner Number ${storeCount} Person`,
+    ownerEmail: `owner${storeCount}@test.com`,
+    ownerPassword: 'Owner@123',
+    ownerAddress: 'Owner Street',
+    ...overrides
+  };
+  const res = await api('POST /admin/stores', { body: data, token: adminToken });
+  const login = await api('POST /auth/login', { body: { email: data.ownerEmail, password: data.ownerPassword } });
+  return { store: res.body, owner: login.body.user, ownerToken: login.body.token };
+};
+
+module.exports = { SETUP_TOKEN, ADMIN, startTestApp, tokenFromMail, waitForToken, setupAdmin, registerUser, createStore };
@@ -0,0 +1,28 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, setupAdmin } = require('./helpers');
+
+describe('csv import', () => {
+  let ctx;
+  let adminToken;
+  const headers = { 'Content-Type': 'text/csv' };
+  before(async () => {
+    ctx = await startTestApp();
+    adminToken = await setupAdmin(ctx);
+  });
+  after(() => ctx.close());
+
+  const importUsers = (csv) => ctx.api('POST /admin/import/users?dryRun=true', { token: adminToken, body: csv, headers });
+
+  it('rejects a file whose rows are all empty', async () => {
+    const res = await importUsers(',,,\n,,,');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'BAD_REQUEST');
+    assert.equal(res.body.error, 'CSV has no header row');
+  });
+
+  it('rejects unknown columns and a header without rows', async () => {
+    assert.equal((await importUsers('name,email,password,shoe_size\r\n')).body.error, 'Unknown columns: shoe_size');
+    assert.equal((await importUsers('name,email,password\r\n')).body.error, 'CSV has no data rows');
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, setupAdmin, registerUser, createStore } = require('./helpers');
+
+describe('store owner', () => {
+  let ctx;
+  let adminToken;
+  let ownerToken;
+  let ratingId;
+  before(async () => {
+    ctx = await startTestApp();
+    adminToken = await setupAdmin(ctx);
+    const created = await createStore(ctx, adminToken);
+    ownerToken = created.ownerToken;
+    const user = await registerUser(ctx);
+    const rating = await ctx.api('POST /ratings', { token: user.token, body: { storeId: created.store.id, rating: 2, review: 'Slow' } });
+    ratingId = rating.body.id;
+  });
+  after(() => ctx.close());
+
+  it('is closed to other roles', async () => {
+    assert.equal((await ctx.api('GET /owner/dashboard', { token: adminToken })).status, 403);
+  });
+
+  it('needs an assigned store', async () => {
+    const { user } = await registerUser(ctx);
+    await ctx.api(`PATCH /admin/users/${user.id}`, { token: adminToken, body: { role: 'store_owner' } });
+    const login = await ctx.api('POST /auth/login', { body: { email: user.email, password: 'User@1234' } });
+    const res = await ctx.api('GET /owner/dashboard', { token: login.body.token });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'NO_STORE_ASSIGNED');
+  });
+
+  describe('with several stores', () => {
+    let owner;
+    let stores;
+    before(async () => {
+      const first = await createStore(ctx, adminToken);
+      const second = await createStore(ctx, adminToken);
+      await ctx.api(`POST /admin/stores/${second.store.id}/owners`, { token: adminToken, body: { userId: first.owner.id } });
+      owner = first.ownerToken;
+      stores = [first.store, second.store];
+      const user = await registerUser(ctx);
+      await ctx.api('POST /ratings', { token: user.token, body: { storeId: stores[0].id, rating: 5 } });
+      await ctx.api('POST /ratings', { token: user.token, body: { storeId: stores[1].id, rating: 2 } });
+    });
+
+    it('lists the stores for the switcher', async () => {
+      const res = await ctx.api('GET /owner/stores', { token: owner });
+      assert.deepEqual(res.body.map((s) => s.id).sort(), stores.map((s) => s.id).sort());
+    });
+
+    it('aggregates every store by default and narrows to one with storeId', async () => {
+      const all = await ctx.api('GET /owner/dashboard', { token: owner });
+      assert.equal(all.body.averageRating, '3.50');
+      assert.equal(all.body.ratings.length, 2);
+
+      const one = await ctx.api(`GET /owner/dashboard?storeId=${stores[1].id}`, { token: owner });
+      assert.equal(one.body.averageRating, '2.00');
+      assert.equal(one.body.ratings[0].store_name, stores[1].name);
+      assert.equal((await ctx.api(`GET /owner/history?storeId=${stores[0].id}`, { token: owner })).body.total, 1);
+    });
+
+    it("hides stores the caller doesn't own", async () => {
+      const res = await ctx.api(`GET /owner/dashboard?storeId=${stores[0].id}`, { token: ownerToken });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  it("shows the store's average and ratings", async () => {
+    const res = await ctx.api('GET /owner/dashboard', { token: ownerToken });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.averageRating, '2.00');
+    assert.equal(res.body.ratings[0].review, 'Slow');
+  });
+
+  it('replies to a rating and edits the reply', async () => {
+    const empty = await ctx.api(`POST /owner/ratings/${ratingId}/reply`, { token: ownerToken, body: { reply: ' ' } });
+    assert.deepEqual(empty.body.fields, { reply: 'Reply is required' });
+    const missing = await ctx.api('POST /owner/ratings/999999/reply', { token: ownerToken, body: { reply: 'Hi' } });
+    assert.equal(missing.status, 404);
+
+    await ctx.api(`POST /owner/ratings/${ratingId}/reply`, { token: ownerToken, body: { reply: 'Sorry' } });
+    const edited = await ctx.api(`POST /owner/ratings/${ratingId}/reply`, { token: ownerToken, body: { reply: 'We are faster now' } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.reply, 'We are faster now');
+    assert.equal((await ctx.api('GET /owner/dashboard', { token: ownerToken })).body.ratings[0].reply, 'We are faster now');
+  });
+
+  it('deletes a reply', async () => {
+    assert.equal((await ctx.api(`DELETE /owner/ratings/${ratingId}/reply`, { token: ownerToken })).status, 200);
+    assert.equal((await ctx.api(`DELETE /owner/ratings/${ratingId}/reply`, { token: ownerToken })).status, 404);
+  });
+
+  it('exports ratings as JSON', async () => {
+    const res = await ctx.api('GET /owner/ratings/export?format=json', { token: ownerToken });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].rating, 2);
+  });
+
+  it('reports rating trends and the history', async () => {
+    const trend = await ctx.api('GET /owner/analytics?interval=week', { token: ownerToken });
+    assert.equal(trend.status, 200);
+    assert.equal(trend.body.series.reduce((sum, b) => sum + b.newRatings, 0), 1);
+    assert.equal((await ctx.api('GET /owner/analytics?interval=year', { token: ownerToken })).status, 400);
+    assert.equal((await ctx.api('GET /owner/analytics?from=2024-02-01&to=2024-01-01', { token: ownerToken })).status, 400);
+
+    const history = await ctx.api('GET /owner/history', { token: ownerToken });
+    assert.equal(history.body.total, 1);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, setupAdmin, registerUser, createStore } = require('./helpers');
+
+describe('ratings', () => {
+  let ctx;
+  let adminToken;
+  let store;
+  let ownerToken;
+  let user;
+  before(async () => {
+    ctx = await startTestApp();
+    adminToken = await setupAdmin(ctx);
+    ({ store, ownerToken } = await createStore(ctx, adminToken));
+    user = await registerUser(ctx);
+  });
+  after(() => ctx.close());
+
+  it('requires a verified email', async () => {
+    const { token } = await registerUser(ctx, { verified: false });
+    const res = await ctx.api('POST /ratings', { token, body: { storeId: store.id, rating: 5 } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+  });
+
+  it('is only open to normal users', async () => {
+    const res = await ctx.api('POST /ratings', { token: ownerToken, body: { storeId: store.id, rating: 5 } });
+    assert.equal(res.status, 403);
+  });
+
+  it('validates the rating and review', async () => {
+    const res = await ctx.api('POST /ratings', { token: user.token, body: { storeId: store.id, rating: 6, review: 'x'.repeat(1001) } });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.fields, { rating: 'Rating must be 1-5', review: 'Review max 1000 characters' });
+  });
+
+  it('creates and then updates a rating, keeping the review when it is omitted', async () => {
+    const created = await ctx.api('POST /ratings', { token: user.token, body: { storeId: store.id, rating: 3, review: 'Okay' } });
+    assert.equal(created.status, 200);
+    const updated = await ctx.api('POST /ratings', { token: user.token, body: { storeId: store.id, rating: 5 } });
+    assert.equal(updated.body.id, created.body.id);
+    assert.equal(updated.body.rating, 5);
+    assert.equal(updated.body.review, 'Okay');
+  });
+
+  it("records the history of the caller's ratings", async () => {
+    const res = await ctx.api('GET /ratings/history', { token: user.token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.items.map((h) => h.action), ['updated', 'created']);
+    assert.equal(res.body.items[0].previous_rating, 3);
+  });
+
+  it('shows the history of one rating to its author, the store owner and admins only', async () => {
+    const ratingId = (await ctx.api('GET /ratings/history', { token: user.token })).body.items[0].rating_id;
+    for (const token of [user.token, ownerToken, adminToken]) {
+      assert.equal((await ctx.api(`GET /ratings/${ratingId}/history`, { token })).status, 200);
+    }
+    const stranger = await registerUser(ctx);
+    assert.equal((await ctx.api(`GET /ratings/${ratingId}/history`, { token: stranger.token })).status, 404);
+  });
+
+  it('withdraws a rating once', async () => {
+    assert.equal((await ctx.api(`DELETE /ratings/${store.id}`, { token: user.token })).status, 200);
+    assert.equal((await ctx.api(`DELETE /ratings/${store.id}`, { token: user.token })).status, 404);
+    const history = await ctx.api(`GET /admin/stores/${store.id}/history`, { token: adminToken });
+    assert.equal(history.body.items[0].action, 'deleted');
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, setupAdmin, registerUser, createStore } = require('./helpers');
+
+describe('store listing', () => {
+  let ctx;
+  let adminToken;
+  let user;
+  let stores;
+  before(async () => {
+    ctx = await startTestApp();
+    adminToken = await setupAdmin(ctx);
+    stores = [
+      (await createStore(ctx, adminToken, { name: 'Alpha Grocery Store Limited', address: 'North Road' })).store,
+      (await createStore(ctx, adminToken, { name: 'Beta Hardware Store Limited', address: 'South Road' })).store
+    ];
+    user = await registerUser(ctx);
+    await ctx.api('POST /ratings', { token: user.token, body: { storeId: stores[1].id, rating: 4, review: 'Good tools' } });
+  });
+  after(() => ctx.close());
+
+  it('requires a signed-in user', async () => {
+    assert.equal((await ctx.api('GET /stores')).status, 401);
+  });
+
+  it("lists stores with the caller's own rating", async () => {
+    const res = await ctx.api('GET /stores', { token: user.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 2);
+    const beta = res.body.items.find((s) => s.id === stores[1].id);
+    assert.equal(beta.user_rating, 4);
+    assert.equal(beta.user_review, 'Good tools');
+    assert.equal(res.body.items.find((s) => s.id === stores[0].id).user_rating, null);
+  });
+
+  describe('search', () => {
+    const search = async (query) => (await ctx.api(`GET /stores?${query}`, { token: user.token })).body;
+
+    it('matches words from the name and address in any order', async () => {
+      assert.deepEqual((await search('q=alpha')).items.map((s) => s.id), [stores[0].id]);
+      assert.deepEqual((await search('q=south')).items.map((s) => s.id), [stores[1].id]);
+      assert.deepEqual((await search('q=road%20hardware')).items.map((s) => s.id), [stores[1].id]);
+    });
+
+    it('tolerates typos and partial words', async () => {
+      assert.deepEqual((await search('q=grocey')).items.map((s) => s.id), [stores[0].id]);
+      assert.deepEqual((await search('q=hardw')).items.map((s) => s.id), [stores[1].id]);
+      assert.equal((await search('q=zzzzqqq')).total, 0);
+    });
+
+    it('ranks by relevance and can boost well-rated stores', async () => {
+      const plain = await search('q=store%20limited');
+      assert.equal(plain.total, 2);
+      assert.equal(plain.items[0].relevance, plain.items[1].relevance);
+      const boosted = await search('q=store%20limited&boost=rating');
+      assert.equal(boosted.items[0].id, stores[1].id);
+      const byName = await search('q=store%20limited&sortBy=name');
+      assert.deepEqual(byName.items.map((s) => s.id), [stores[0].id, stores[1].id]);
+    });
+
+    it('suggests store names while typing', async () => {
+      const res = await search('suggest=true&q=bet');
+      assert.deepEqual(res, [{ id: stores[1].id, name: stores[1].name, address: 'South Road' }]);
+      assert.deepEqual(await search('suggest=true&q='), []);
+    });
+
+    it('rejects a repeated search parameter', async () => {
+      for (const query of ['q=a&q=b', 'suggest=true&q=a&q=b']) {
+        const res = await ctx.api(`GET /stores?${query}`, { token: user.token });
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.fields, { q: 'Give q only once' });
+      }
+    });
+  });
+
+  it('sorts and paginates', async () => {
+    const res = await ctx.api('GET /stores?sortBy=overall_rating&order=desc&limit=1', { token: user.token });
+    assert.equal(res.body.items.length, 1);
+    assert.equal(res.body.items[0].id, stores[1].id);
+    const page2 = await ctx.api('GET /stores?sortBy=overall_rating&order=desc&limit=1&page=2', { token: user.token });
+    assert.equal(page2.body.items[0].id, stores[0].id);
+  });
+
+  it('is also available to other roles', async () => {
+    const { user: other, password } = await registerUser(ctx, { verified: false });
+    const login = await ctx.api('POST /auth/login', { body: { email: other.email, password } });
+    assert.equal((await ctx.api('GET /stores', { token: login.body.token })).status, 200);
+  });
+
+  describe('categories and tags', () => {
+    let coffee;
+    let tagged;
+    before(async () => {
+      coffee = (await ctx.api('POST /admin/categories', { token: adminToken, body: { name: 'Coffee Shops' } })).body;
+      await ctx.api('POST /admin/categories', { token: adminToken, body: { name: 'Electronics' } });
+      tagged = [
+        (await createStore(ctx, adminToken, { name: 'Gamma Coffee House Limited', categoryId: coffee.id, tags: ['wifi', 'vegan'] })).store,
+        (await createStore(ctx, adminToken, { name: 'Delta Coffee Roasters Limited', categoryId: coffee.id, tags: ['wifi'] })).store
+      ];
+    });
+
+    it('filters by category and by every selected tag', async () => {
+      const byCategory = await ctx.api(`GET /stores?category=${coffee.id}`, { token: user.token });
+      assert.deepEqual(byCategory.body.items.map((s) => s.id).sort(), tagged.map((s) => s.id).sort());
+      assert.equal(byCategory.body.items[0].category, 'Coffee Shops');
+      const byTags = await ctx.api('GET /stores?tags=WIFI,vegan', { token: user.token });
+      assert.deepEqual(byTags.body.items.map((s) => s.id), [tagged[0].id]);
+    });
+
+    it('returns facet counts that ignore their own filter', async () => {
+      const res = await ctx.api(`GET /stores?category=${coffee.id}&tags=vegan`, { token: user.token });
+      assert.equal(res.body.total, 1);
+      assert.deepEqual(res.body.facets.categories.map((c) => [c.name, c.count]), [['Coffee Shops', 1], ['Electronics', 0]]);
+      assert.deepEqual(res.body.facets.tags, [{ tag: 'wifi', count: 2 }, { tag: 'vegan', count: 1 }]);
+    });
+  });
+
+  describe('near me', () => {
+    let paris;
+    before(async () => {
+      paris = [
+        (await createStore(ctx, adminToken, { name: 'Louvre Corner Bakery Limited', latitude: 48.8606, longitude: 2.3376 })).store,
+        (await createStore(ctx, adminToken, { name: 'Versailles Garden Market Limited', latitude: 48.8049, longitude: 2.1204 })).store
+      ];
+    });
+    const near = async (query) => (await ctx.api(`GET /stores?lat=48.8584&lng=2.2945&${query}`, { token: user.token })).body;
+
+    it('keeps stores within the radius, nearest first, with their distance', async () => {
+      const res = await near('radius=20');
+      assert.deepEqual(res.items.map((s) => s.id), [paris[0].id, paris[1].id]);
+      assert.equal(res.total, 2);
+      assert.ok(Math.abs(res.items[0].distance_km - 3.17) < 0.05);
+      assert.deepEqual((await near('radius=5')).items.map((s) => s.id), [paris[0].id]);
+    });
+
+    it('sorts every store by distance without a radius and combines with search', async () => {
+      const all = await near('');
+      assert.deepEqual(all.items.slice(0, 2).map((s) => s.id), [paris[0].id, paris[1].id]);
+      assert.ok(all.items.slice(2).every((s) => s.distance_km > 200));
+      const searched = await near('radius=20&q=market');
+      assert.deepEqual(searched.items.map((s) => s.id), [paris[1].id]);
+    });
+
+    it('rejects an incomplete or invalid location', async () => {
+      const res = await ctx.api('GET /stores?lat=48.8&radius=900', { token: user.token });
+      assert.equal(res.status, 400);
+      assert.deepEqual(Object.keys(res.body.fields), ['lng', 'radius']);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { rules, schemas, validate, hasErrors } = require('../shared/validation');
+
+describe('shared validation', () => {
+  it('returns an error per invalid field', () => {
+    const errors = validate(schemas.register, { name: 'Too short', email: 'someone@example.com', password: 'nouppercase1!' });
+    assert.deepEqual(errors, { name: 'Name must be 20-60 characters', password: 'Password: 8-16 chars, 1 uppercase, 1 special char' });
+    assert.equal(hasErrors(errors), true);
+  });
+
+  it('accepts a valid form', () => {
+    const form = { name: 'A Perfectly Valid Full Name', email: 'someone@example.com', password: 'Valid@123', address: '' };
+    assert.deepEqual(validate(schemas.register, form), {});
+  });
+
+  it('skips missing fields in partial mode and empty optional fields', () => {
+    assert.deepEqual(validate(schemas.user, { email: 'bad' }, { partial: true }), { email: 'Invalid email format' });
+    const form = { name: 'A Perfectly Valid Full Name', email: 'someone@example.com', password: '', role: 'user' };
+    assert.deepEqual(validate(schemas.user, form, { optional: ['password'] }), {});
+    assert.deepEqual(validate(schemas.user, form), { password: 'Password is required' });
+  });
+
+  it('checks store owner fields with the user rules', () => {
+    const errors = validate(schemas.storeWithOwner, { name: 'A Perfectly Valid Store Name', email: 'store@example.com', ownerName: 'x' });
+    assert.deepEqual(Object.keys(errors), ['ownerName', 'ownerEmail', 'ownerPassword']);
+  });
+
+  it('limits addresses, reviews and replies', () => {
+    assert.equal(rules.address('a'.repeat(401)), 'Address max 400 characters');
+    assert.equal(rules.review(null), '');
+    assert.equal(rules.reply('   '), 'Reply is required');
+    assert.equal(rules.rating(4.5), 'Rating must be 1-5');
+  });
+});